@@ -0,0 +1,84 @@
+// Settings for the delivery estimate service (utils/deliveryEstimate.js).
+// Lead times are working days from dispatch. A city match wins over its
+// province; anything unmatched uses defaultLeadTime.
+//
+// Holidays are "MM-DD" for fixed-date holidays that repeat every year, or
+// "YYYY-MM-DD" for moving ones (Eid etc.) which must be added each year,
+// e.g. DELIVERY_HOLIDAYS=2026-03-20,2026-03-21,2026-05-27
+import dotenv from "dotenv";
+dotenv.config();
+
+const intFromEnv = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const listFromEnv = (value, fallback) => {
+  if (!value) return fallback;
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+};
+
+const deliveryConfig = {
+  // Store clock as minutes east of UTC (Pakistan Standard Time, no DST)
+  utcOffsetMinutes: intFromEnv(process.env.DELIVERY_UTC_OFFSET_MINUTES, 300),
+
+  // Orders placed before this local hour on a working day leave the same day
+  dispatchCutoffHour: intFromEnv(process.env.DISPATCH_CUTOFF_HOUR, 14),
+
+  // Days without dispatch or delivery (0 = Sunday ... 6 = Saturday)
+  weekendDays: listFromEnv(process.env.DELIVERY_WEEKEND_DAYS, ["0", "6"]).map(Number),
+
+  holidays: [
+    "02-05", // Kashmir Solidarity Day
+    "03-23", // Pakistan Day
+    "05-01", // Labour Day
+    "05-28", // Youm-e-Takbeer
+    "08-14", // Independence Day
+    "11-09", // Iqbal Day
+    "12-25", // Quaid-e-Azam Day
+    ...listFromEnv(process.env.DELIVERY_HOLIDAYS, []),
+  ],
+
+  defaultLeadTime: intFromEnv(process.env.DELIVERY_DEFAULT_LEAD_DAYS, 5),
+
+  cityLeadTimes: {
+    karachi: 1,
+    hyderabad: 2,
+    lahore: 2,
+    islamabad: 2,
+    rawalpindi: 2,
+    faisalabad: 3,
+    multan: 3,
+    peshawar: 3,
+    quetta: 4,
+  },
+
+  provinceLeadTimes: {
+    sindh: 3,
+    punjab: 3,
+    "islamabad capital territory": 3,
+    "khyber pakhtunkhwa": 4,
+    balochistan: 5,
+    "azad jammu and kashmir": 5,
+    "gilgit-baltistan": 6,
+  },
+
+  // Common spellings of province names on addresses
+  provinceAliases: {
+    ict: "islamabad capital territory",
+    islamabad: "islamabad capital territory",
+    kp: "khyber pakhtunkhwa",
+    kpk: "khyber pakhtunkhwa",
+    "n.w.f.p": "khyber pakhtunkhwa",
+    nwfp: "khyber pakhtunkhwa",
+    ajk: "azad jammu and kashmir",
+    "azad kashmir": "azad jammu and kashmir",
+    gb: "gilgit-baltistan",
+    "gilgit baltistan": "gilgit-baltistan",
+  },
+};
+
+export default deliveryConfig;
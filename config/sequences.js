@@ -0,0 +1,43 @@
+// Formats for human-readable document numbers issued by the Counter model.
+// Each number is `${prefix}${datePart}${sequence}`; the sequence restarts for
+// every new date part, or never restarts when dateFormat is null.
+//
+// Supported dateFormat values: "YYYYMMDD", "YYMMDD", "YYYYMM", "YYYY", null
+// (set the environment variable to "none" for null)
+import dotenv from "dotenv";
+dotenv.config();
+
+const intFromEnv = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const dateFormatFromEnv = (value, fallback) => {
+  if (!value) return fallback;
+  return value.toLowerCase() === "none" ? null : value;
+};
+
+const sequenceFormats = {
+  order: {
+    prefix: process.env.ORDER_NUMBER_PREFIX || "",
+    dateFormat: dateFormatFromEnv(process.env.ORDER_NUMBER_DATE_FORMAT, "YYYYMMDD"),
+    padding: intFromEnv(process.env.ORDER_NUMBER_PADDING, 4),
+  },
+  invoice: {
+    prefix: process.env.INVOICE_NUMBER_PREFIX || "INV-",
+    dateFormat: dateFormatFromEnv(process.env.INVOICE_NUMBER_DATE_FORMAT, "YYYY"),
+    padding: intFromEnv(process.env.INVOICE_NUMBER_PADDING, 6),
+  },
+  return: {
+    prefix: process.env.RETURN_NUMBER_PREFIX || "RMA-",
+    dateFormat: dateFormatFromEnv(process.env.RETURN_NUMBER_DATE_FORMAT, "YYYYMMDD"),
+    padding: intFromEnv(process.env.RETURN_NUMBER_PADDING, 4),
+  },
+  fulfillment: {
+    prefix: process.env.FULFILLMENT_NUMBER_PREFIX || "FUL-",
+    dateFormat: dateFormatFromEnv(process.env.FULFILLMENT_NUMBER_DATE_FORMAT, "YYYYMMDD"),
+    padding: intFromEnv(process.env.FULFILLMENT_NUMBER_PADDING, 4),
+  },
+};
+
+export default sequenceFormats;
@@ -0,0 +1,503 @@
+import Order from '../models/order.js';
+import User from '../models/user.js';
+import OrderComment from '../models/orderComment.js';
+import PaymentTransaction from '../models/paymentTransaction.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import {
+    sendInvoicePdf,
+    sendPackingSlipsPdf,
+    sendShippingLabelsPdf
+} from '../utils/pdfDocuments.js';
+import { EXPORT_FORMATS, EXPORT_MODES, streamOrderExport } from '../utils/orderExport.js';
+import { getRefundGateway } from '../utils/paymentGateways/index.js';
+import { refundOrder } from '../utils/paymentLedger.js';
+import { cancelOrderWithRestock } from '../utils/stockReservations.js';
+
+const ORDER_STATUSES = Order.schema.path('status').enumValues;
+const PAYMENT_STATUSES = Order.schema.path('paymentStatus').enumValues;
+const PAYMENT_METHODS = Order.schema.path('paymentMethod').enumValues;
+
+// mongoSanitization strips dots from query strings, which mangles email
+// addresses, so read those values from the untouched URL instead
+const getRawQueryParam = (req, key) => {
+    return new URL(req.originalUrl, 'http://localhost').searchParams.get(key);
+};
+
+// Ledger rows written when an admin sets the payment status by hand
+const MANUAL_PAYMENT_ENTRIES = {
+    paid: { type: 'capture', status: 'succeeded' },
+    failed: { type: 'payment', status: 'failed' },
+    refunded: { type: 'refund', status: 'succeeded' }
+};
+
+// Orders that can go through fulfillment printing
+const PRINTABLE_STATUSES = ['confirmed', 'processing', 'partially_shipped'];
+const MAX_PRINT_BATCH = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Parse a date query value; date-only "to" values cover the whole day
+const parseDateParam = (value, endOfDay = false) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+};
+
+// Build the order query shared by the order list and the export from the
+// status, paymentStatus, paymentMethod, from/to, orderNumber and email params
+const buildOrderFilter = async (req) => {
+    const { status, paymentStatus, paymentMethod, from, to, orderNumber } = req.query;
+    const email = getRawQueryParam(req, 'email');
+    const filter = {};
+
+    if (status) {
+        if (!ORDER_STATUSES.includes(status)) {
+            throw new AppError(`Invalid status: ${status}`, 400);
+        }
+        filter.status = status;
+    }
+
+    if (paymentStatus) {
+        if (!PAYMENT_STATUSES.includes(paymentStatus)) {
+            throw new AppError(`Invalid payment status: ${paymentStatus}`, 400);
+        }
+        filter.paymentStatus = paymentStatus;
+    }
+
+    if (paymentMethod) {
+        if (!PAYMENT_METHODS.includes(paymentMethod)) {
+            throw new AppError(`Invalid payment method: ${paymentMethod}`, 400);
+        }
+        filter.paymentMethod = paymentMethod;
+    }
+
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) {
+            const fromDate = parseDateParam(from);
+            if (!fromDate) throw new AppError('Invalid "from" date', 400);
+            filter.createdAt.$gte = fromDate;
+        }
+        if (to) {
+            const toDate = parseDateParam(to, true);
+            if (!toDate) throw new AppError('Invalid "to" date', 400);
+            filter.createdAt.$lte = toDate;
+        }
+    }
+
+    if (orderNumber) {
+        filter.orderNumber = new RegExp(`^${escapeRegex(orderNumber.replace(/^#/, ''))}`);
+    }
+
+    // Match the contact email on the order or the email of the account that placed it
+    if (email) {
+        const normalizedEmail = email.trim().toLowerCase();
+        const users = await User.find({ email: normalizedEmail }).select('_id');
+        filter.$or = [
+            { 'shippingAddress.email': normalizedEmail },
+            { user: { $in: users.map(user => user._id) } }
+        ];
+    }
+
+    return filter;
+};
+
+// Load the orders selected for printing, in the order they were requested
+const loadPrintableOrders = async (orderIds) => {
+    if (!Array.isArray(orderIds) || orderIds.length === 0) {
+        throw new AppError('orderIds must be a non-empty array', 400);
+    }
+
+    const uniqueIds = [...new Set(orderIds.map(String))];
+    if (uniqueIds.length > MAX_PRINT_BATCH) {
+        throw new AppError(`Cannot print more than ${MAX_PRINT_BATCH} orders at once`, 400);
+    }
+
+    const orders = await Order.find({ _id: { $in: uniqueIds } })
+        .populate('items.product', 'name');
+
+    const ordersById = new Map(orders.map(order => [order._id.toString(), order]));
+    const missing = uniqueIds.filter(id => !ordersById.has(id));
+    if (missing.length > 0) {
+        throw new AppError(`Orders not found: ${missing.join(', ')}`, 404);
+    }
+
+    const notPrintable = orders.filter(order => !PRINTABLE_STATUSES.includes(order.status));
+    if (notPrintable.length > 0) {
+        throw new AppError(
+            `Only ${PRINTABLE_STATUSES.join(', ')} orders can be printed: ${notPrintable
+                .map(order => `#${order.orderNumber} (${order.status})`)
+                .join(', ')}`,
+            400
+        );
+    }
+
+    return uniqueIds.map(id => ordersById.get(id));
+};
+
+// Printing fulfillment documents means the order is now being prepared.
+// Called once the PDF has rendered, when an error can no longer be sent, so
+// failures are logged and the remaining orders still move on.
+const markOrdersProcessing = async (orders, admin) => {
+    for (const order of orders) {
+        if (order.status !== 'confirmed') continue;
+
+        try {
+            await order.updateStatus('processing', '', { user: admin._id, role: 'admin' });
+        } catch (error) {
+            console.error(`Failed to mark printed order ${order.orderNumber} as processing:`, error.message);
+        }
+    }
+};
+
+// @desc    Get all orders with filters
+// @route   GET /api/admin/orders
+// @access  Private/Admin
+export const getAllOrders = catchAsync(async (req, res, next) => {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = await buildOrderFilter(req);
+
+    const orders = await Order.find(filter)
+        .populate('user', 'username email')
+        .populate({
+            path: 'items.product',
+            select: 'name price images category brand'
+        })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+    const totalOrders = await Order.countDocuments(filter);
+
+    res.status(200).json({
+        success: true,
+        orders,
+        pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(totalOrders / parseInt(limit)),
+            totalOrders,
+            hasNext: parseInt(page) < Math.ceil(totalOrders / parseInt(limit)),
+            hasPrev: parseInt(page) > 1
+        }
+    });
+});
+
+// @desc    Export orders matching the list filters as CSV or XLSX
+// @route   GET /api/admin/orders/export?format=csv|xlsx&mode=orders|items
+// @access  Private/Admin
+export const exportOrders = catchAsync(async (req, res, next) => {
+    const { format = 'csv', mode = 'orders' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        return next(new AppError(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400));
+    }
+
+    if (!EXPORT_MODES.includes(mode)) {
+        return next(new AppError(`Mode must be one of: ${EXPORT_MODES.join(', ')}`, 400));
+    }
+
+    const filter = await buildOrderFilter(req);
+
+    // Oldest first so the sheet reads like a ledger; the cursor keeps only
+    // one batch of orders in memory at a time
+    const cursor = Order.find(filter)
+        .populate('user', 'username email')
+        .populate('items.product', 'name')
+        .sort({ createdAt: 1 })
+        .lean()
+        .cursor({ batchSize: 200 });
+
+    await streamOrderExport(res, cursor, { format, mode });
+});
+
+// @desc    Get single order
+// @route   GET /api/admin/orders/:id
+// @access  Private/Admin
+export const getOrderById = catchAsync(async (req, res, next) => {
+    const order = await Order.findById(req.params.id)
+        .populate('user', 'username email profile')
+        .populate({
+            path: 'items.product',
+            select: 'name price images category brand quantity status'
+        });
+
+    if (!order) {
+        return next(new AppError('Order not found', 404));
+    }
+
+    const comments = await OrderComment.find({ order: order._id })
+        .populate('author', 'username email')
+        .populate('mention', 'username email')
+        .sort({ createdAt: 1 });
+
+    res.status(200).json({
+        success: true,
+        order,
+        comments,
+        allowedTransitions: Order.getAllowedTransitions(order.status)
+    });
+});
+
+// @desc    Download order invoice (PDF)
+// @route   GET /api/admin/orders/:id/invoice
+// @access  Private/Admin
+export const getOrderInvoice = catchAsync(async (req, res, next) => {
+    const order = await Order.findById(req.params.id).populate('items.product', 'name');
+
+    if (!order) {
+        return next(new AppError('Order not found', 404));
+    }
+
+    if (!order.invoiceNumber && order.status === 'cancelled') {
+        return next(new AppError('No invoice is available for a cancelled order', 400));
+    }
+
+    await order.issueInvoice();
+
+    sendInvoicePdf(res, order);
+});
+
+// @desc    Print packing slips for a batch of orders (PDF)
+// @route   POST /api/admin/orders/packing-slips
+// @access  Private/Admin
+export const printPackingSlips = catchAsync(async (req, res, next) => {
+    const orders = await loadPrintableOrders(req.body.orderIds);
+
+    await sendPackingSlipsPdf(res, orders);
+
+    await markOrdersProcessing(orders, req.user);
+});
+
+// @desc    Print shipping labels for a batch of orders (PDF)
+// @route   POST /api/admin/orders/shipping-labels
+// @access  Private/Admin
+export const printShippingLabels = catchAsync(async (req, res, next) => {
+    const orders = await loadPrintableOrders(req.body.orderIds);
+
+    await sendShippingLabelsPdf(res, orders);
+
+    await markOrdersProcessing(orders, req.user);
+});
+
+// @desc    Update order status (with optional tracking details)
+// @route   PATCH /api/admin/orders/:id/status
+// @access  Private/Admin
+export const updateOrderStatus = catchAsync(async (req, res, next) => {
+    const { status, notes = '', trackingNumber, estimatedDelivery } = req.body;
+
+    if (status && !ORDER_STATUSES.includes(status)) {
+        return next(new AppError(`Status must be one of: ${ORDER_STATUSES.join(', ')}`, 400));
+    }
+
+    let order = await Order.findById(req.params.id);
+
+    if (!order) {
+        return next(new AppError('Order not found', 404));
+    }
+
+    if (trackingNumber !== undefined) {
+        order.trackingNumber = trackingNumber;
+    }
+
+    if (estimatedDelivery !== undefined) {
+        const deliveryDate = new Date(estimatedDelivery);
+        if (isNaN(deliveryDate.getTime())) {
+            return next(new AppError('Invalid estimated delivery date', 400));
+        }
+        order.estimatedDelivery = deliveryDate;
+    }
+
+    // Tracking details can be updated without changing the status
+    const statusChanged = status && status !== order.status;
+    const actor = { user: req.user._id, role: 'admin' };
+
+    if (statusChanged && status === 'cancelled') {
+        // Cancelling puts the stock back, closes the hold and refunds a paid order
+        if (!order.canBeCancelled()) {
+            return next(new AppError(`A ${order.status} order cannot be cancelled`, 400));
+        }
+        await order.save();
+
+        order = await cancelOrderWithRestock(order._id, {
+            reason: 'Cancelled by the store',
+            actor,
+            refundPayment: true
+        });
+        if (!order) {
+            return next(new AppError('Order can no longer be cancelled', 409));
+        }
+    } else if (statusChanged && status === 'refunded') {
+        // Refunding pays the customer back through the order's gateway
+        if (order.paymentStatus !== 'paid') {
+            return next(new AppError('Only paid orders can be refunded', 400));
+        }
+        if (!order.canTransitionTo('refunded')) {
+            return next(new AppError(`A ${order.status} order cannot be refunded`, 400));
+        }
+        await order.save();
+
+        ({ order } = await refundOrder(order, getRefundGateway(order), {
+            reason: 'Refunded by the store',
+            actor
+        }));
+    } else if (statusChanged) {
+        await order.updateStatus(status, '', actor);
+    } else {
+        await order.save();
+    }
+
+    // Notes are for staff, so they go on the comment thread rather than the
+    // status history the customer sees
+    if (notes && String(notes).trim()) {
+        await OrderComment.create({
+            order: order._id,
+            author: req.user._id,
+            text: statusChanged
+                ? `Status changed to ${status}: ${String(notes).trim()}`
+                : String(notes).trim()
+        });
+    }
+
+    await order.populate('user', 'username email');
+
+    res.status(200).json({
+        success: true,
+        message: `Order status is ${order.status}`,
+        order,
+        allowedTransitions: Order.getAllowedTransitions(order.status)
+    });
+});
+
+// @desc    Update order payment status
+// @route   PATCH /api/admin/orders/:id/payment-status
+// @access  Private/Admin
+export const updateOrderPaymentStatus = catchAsync(async (req, res, next) => {
+    const { paymentStatus } = req.body;
+
+    if (!paymentStatus || !PAYMENT_STATUSES.includes(paymentStatus)) {
+        return next(new AppError(`Payment status must be one of: ${PAYMENT_STATUSES.join(', ')}`, 400));
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+        return next(new AppError('Order not found', 404));
+    }
+
+    // A manual refund pays out whatever is left, and is counted on the order
+    // in the same save as the status
+    const ledgerEntry = MANUAL_PAYMENT_ENTRIES[paymentStatus];
+    const amount = ledgerEntry?.type === 'refund'
+        ? order.total - (order.refundedAmount || 0)
+        : order.total;
+    if (ledgerEntry?.type === 'refund') {
+        order.refundedAmount = (order.refundedAmount || 0) + amount;
+    }
+
+    await order.updatePaymentStatus(paymentStatus);
+
+    // Manual reconciliation goes in the ledger too, so it agrees with the order
+    if (ledgerEntry) {
+        await PaymentTransaction.create({
+            ...ledgerEntry,
+            order: order._id,
+            user: order.user,
+            amount,
+            method: order.paymentMethod,
+            gateway: 'manual',
+            reference: order.paymentTransactionId,
+            message: `Payment status set to ${paymentStatus} by an admin`,
+            createdBy: req.user._id
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        message: `Payment status updated to ${paymentStatus}`,
+        order
+    });
+});
+
+// @desc    Get every payment attempt, capture and refund for an order
+// @route   GET /api/admin/orders/:id/payments
+// @access  Private/Admin
+export const getOrderPayments = catchAsync(async (req, res, next) => {
+    const order = await Order.findById(req.params.id)
+        .select('orderNumber total paymentMethod paymentStatus paymentTransactionId refundedAmount');
+
+    if (!order) {
+        return next(new AppError('Order not found', 404));
+    }
+
+    const transactions = await PaymentTransaction.find({ order: order._id })
+        .populate('createdBy', 'username email')
+        .sort({ createdAt: 1 });
+
+    res.status(200).json({
+        success: true,
+        order,
+        transactions
+    });
+});
+
+// @desc    Get internal staff comments on an order
+// @route   GET /api/admin/orders/:id/comments
+// @access  Private/Admin
+export const getOrderComments = catchAsync(async (req, res, next) => {
+    const comments = await OrderComment.find({ order: req.params.id })
+        .populate('author', 'username email')
+        .populate('mention', 'username email')
+        .sort({ createdAt: 1 });
+
+    res.status(200).json({
+        success: true,
+        comments
+    });
+});
+
+// @desc    Add an internal staff comment to an order
+// @route   POST /api/admin/orders/:id/comments
+// @access  Private/Admin
+export const addOrderComment = catchAsync(async (req, res, next) => {
+    const { text, mention } = req.body;
+
+    if (!text || !String(text).trim()) {
+        return next(new AppError('Comment text is required', 400));
+    }
+
+    const order = await Order.findById(req.params.id).select('_id');
+
+    if (!order) {
+        return next(new AppError('Order not found', 404));
+    }
+
+    if (mention) {
+        const mentioned = await User.findOne({ _id: mention, role: 'admin' }).select('_id');
+        if (!mentioned) {
+            return next(new AppError('Mentioned user must be an admin', 400));
+        }
+    }
+
+    const comment = await OrderComment.create({
+        order: order._id,
+        author: req.user._id,
+        text: String(text).trim(),
+        mention: mention || undefined
+    });
+
+    await comment.populate([
+        { path: 'author', select: 'username email' },
+        { path: 'mention', select: 'username email' }
+    ]);
+
+    res.status(201).json({
+        success: true,
+        message: 'Comment added',
+        comment
+    });
+});
@@ -1,5 +1,6 @@
 // authController.js
 import User from '../models/user.js';
+import Order from '../models/order.js';
 import jwt from 'jsonwebtoken';
 import { AppError, catchAsync } from '../middleware/errorHandler.js';
 import { generateOTP, sendOTPEmail, sendWelcomeEmail, sendPasswordResetEmail } from '../utils/emailService.js';
@@ -318,6 +319,9 @@ export const verifyEmail = catchAsync(async (req, res, next) => {
   // Send welcome email
   sendWelcomeEmail(user.email, user.username).catch(console.error);
 
+  // The email is now proven, so earlier guest orders placed with it belong to this account
+  await Order.attachGuestOrders(user._id, user.email);
+
   // Generate token and login user immediately
   const token = generateToken(res, user._id);
   const userResponse = user.toObject();
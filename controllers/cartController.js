@@ -1,13 +1,45 @@
 import Cart from '../models/cart.js';
 import Product from '../models/product.js';
 import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { calculateOrderTotals } from '../utils/orderPricing.js';
+import { estimateDelivery } from '../utils/deliveryEstimate.js';
+
+// Guest carts (see guestCart middleware) are keyed by cart token, others by user
+const cartFilter = (req) => {
+    return req.guestTokenHash
+        ? { guestTokenHash: req.guestTokenHash }
+        : { user: req.user._id };
+};
+
+// Only for adding to the cart, so browsing guests leave no empty carts behind
+const getOrCreateCart = (req) => {
+    return req.guestTokenHash
+        ? Cart.getOrCreateGuest(req.guestTokenHash)
+        : Cart.getOrCreate(req.user._id);
+};
 
 // @desc    Get user's cart
 // @route   GET /api/cart
 // @access  Private
 export const getCart = catchAsync(async (req, res, next) => {
-    // User ID comes from protect middleware (req.user)
-    const cart = await Cart.getOrCreate(req.user._id);
+    // Guest carts are only stored once something is added to them
+    const cart = req.guestTokenHash
+        ? await Cart.findOne(cartFilter(req))
+        : await Cart.getOrCreate(req.user._id);
+
+    if (!cart) {
+        return res.status(200).json({
+            success: true,
+            cart: {
+                id: null,
+                items: [],
+                totalItems: 0,
+                totalPrice: 0,
+                createdAt: null,
+                updatedAt: null
+            }
+        });
+    }
 
     await cart.populate({
         path: 'items.product',
@@ -44,15 +76,8 @@ export const getCart = catchAsync(async (req, res, next) => {
 // @route   POST /api/cart
 // @access  Private
 export const addToCart = catchAsync(async (req, res, next) => {
-    console.log("in the cart controler");
-
     const { productId, quantity = 1 } = req.body;
 
-    console.log('=== ADD TO CART ===');
-    console.log('User ID:', req.user._id);
-    console.log('Product ID:', productId);
-    console.log('Quantity:', quantity);
-
     if (!productId) {
         return next(new AppError('Product ID is required', 400));
     }
@@ -72,10 +97,10 @@ export const addToCart = catchAsync(async (req, res, next) => {
     }
 
     // User ID comes from token via protect middleware
-    const cart = await Cart.getOrCreate(req.user._id);
+    const cart = await getOrCreateCart(req);
 
     const existingItem = cart.items.find(item =>
-        item.product.toString() === productId.toString()
+        item.product._id.toString() === productId.toString()
     );
 
     const currentQuantity = existingItem ? existingItem.quantity : 0;
@@ -101,8 +126,6 @@ export const addToCart = catchAsync(async (req, res, next) => {
 
     const totalItems = cart.items.reduce((total, item) => total + item.quantity, 0);
 
-    console.log('Cart updated successfully');
-
     res.status(200).json({
         success: true,
         message: 'Item added to cart successfully',
@@ -126,7 +149,7 @@ export const updateCartItem = catchAsync(async (req, res, next) => {
         return next(new AppError('Quantity must be between 0 and 100', 400));
     }
 
-    const cart = await Cart.findOne({ user: req.user._id });
+    const cart = await Cart.findOne(cartFilter(req));
 
     if (!cart) {
         return next(new AppError('Cart not found', 404));
@@ -181,7 +204,7 @@ export const updateCartItem = catchAsync(async (req, res, next) => {
 export const removeFromCart = catchAsync(async (req, res, next) => {
     const { productId } = req.params;
 
-    const cart = await Cart.findOne({ user: req.user._id });
+    const cart = await Cart.findOne(cartFilter(req));
 
     if (!cart) {
         return next(new AppError('Cart not found', 404));
@@ -216,7 +239,7 @@ export const removeFromCart = catchAsync(async (req, res, next) => {
 // @route   DELETE /api/cart/clear
 // @access  Private
 export const clearCart = catchAsync(async (req, res, next) => {
-    const cart = await Cart.findOne({ user: req.user._id });
+    const cart = await Cart.findOne(cartFilter(req));
 
     if (!cart) {
         return next(new AppError('Cart not found', 404));
@@ -240,7 +263,7 @@ export const clearCart = catchAsync(async (req, res, next) => {
 // @route   GET /api/cart/summary
 // @access  Private
 export const getCartSummary = catchAsync(async (req, res, next) => {
-    const cart = await Cart.findOne({ user: req.user._id })
+    const cart = await Cart.findOne(cartFilter(req))
         .populate({
             path: 'items.product',
             select: 'name price images status quantity',
@@ -273,4 +296,50 @@ export const getCartSummary = catchAsync(async (req, res, next) => {
             itemCount: cart.items.length
         }
     });
-});
\ No newline at end of file
+});
+
+// @desc    Quote totals and estimated delivery for checking out the cart
+// @route   POST /api/cart/quote
+// @access  Private
+export const getCheckoutQuote = catchAsync(async (req, res, next) => {
+    // Registered customers fall back to the address saved on their profile
+    const address = req.body.shippingAddress || req.user?.profile?.address;
+
+    if (!address || !address.city) {
+        return next(new AppError('Shipping address with a city is required for a quote', 400));
+    }
+
+    const cart = await Cart.findOne(cartFilter(req))
+        .populate({
+            path: 'items.product',
+            select: 'name price status quantity',
+            match: { status: 'active' }
+        });
+
+    const items = (cart ? cart.items : []).filter(item => item.product && item.product.status === 'active');
+
+    if (items.length === 0) {
+        return next(new AppError('Cart is empty', 400));
+    }
+
+    const subtotal = items.reduce((total, item) => {
+        return total + (item.product.price * item.quantity);
+    }, 0);
+
+    const delivery = estimateDelivery(address);
+
+    res.status(200).json({
+        success: true,
+        quote: {
+            ...calculateOrderTotals(subtotal),
+            totalItems: items.reduce((total, item) => total + item.quantity, 0),
+            delivery: {
+                estimatedDelivery: delivery.estimatedDelivery,
+                dispatchDate: delivery.dispatchDate,
+                leadTimeDays: delivery.leadTimeDays,
+                sameDayDispatch: delivery.sameDayDispatch,
+                cutoffHour: delivery.cutoffHour
+            }
+        }
+    });
+});
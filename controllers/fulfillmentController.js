@@ -0,0 +1,265 @@
+import mongoose from 'mongoose';
+import Order from '../models/order.js';
+import Fulfillment from '../models/fulfillment.js';
+import Shipment from '../models/shipment.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { getCarrier, getCarrierList } from '../utils/carriers.js';
+import { syncOrderFulfillmentStatus } from '../utils/fulfillments.js';
+
+// Orders whose items can still be packed into fulfillments
+const FULFILLABLE_STATUSES = ['confirmed', 'processing', 'partially_shipped'];
+
+// Quantity of each order line not yet covered by a fulfillment
+const getUnfulfilledItems = (order, fulfilledQuantities) => {
+    return order.items
+        .map(item => ({
+            itemId: item._id,
+            product: item.product,
+            name: item.name,
+            quantity: item.quantity - (fulfilledQuantities.get(item._id.toString()) || 0)
+        }))
+        .filter(item => item.quantity > 0);
+};
+
+// Validate a carrier/tracking number pair from the request body
+const parseTracking = ({ carrier: carrierCode, trackingNumber }) => {
+    if (carrierCode === undefined && trackingNumber === undefined) return null;
+
+    const carrier = getCarrier(String(carrierCode || '').toLowerCase());
+    if (!carrier) {
+        throw new AppError(
+            `Carrier must be one of: ${getCarrierList().map(c => c.code).join(', ')}`,
+            400
+        );
+    }
+
+    if (!trackingNumber || !String(trackingNumber).trim()) {
+        throw new AppError('Tracking number is required', 400);
+    }
+
+    return { carrier: carrier.code, trackingNumber: String(trackingNumber).trim() };
+};
+
+// Create the carrier tracking record for a fulfillment's parcel
+const attachShipment = async (fulfillment, tracking, admin, session) => {
+    const existing = await Shipment.findOne(tracking).session(session);
+    if (existing) {
+        throw new AppError('This tracking number is already attached to a shipment', 409);
+    }
+
+    const [shipment] = await Shipment.create([{
+        order: fulfillment.order,
+        fulfillment: fulfillment._id,
+        ...tracking,
+        createdBy: admin._id
+    }], { session });
+
+    fulfillment.carrier = tracking.carrier;
+    fulfillment.trackingNumber = tracking.trackingNumber;
+    fulfillment.shipment = shipment._id;
+};
+
+// @desc    Get fulfillments of an order and what is left to fulfill
+// @route   GET /api/admin/orders/:id/fulfillments
+// @access  Private/Admin
+export const getOrderFulfillments = catchAsync(async (req, res, next) => {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+        return next(new AppError('Order not found', 404));
+    }
+
+    const fulfillments = await Fulfillment.find({ order: order._id })
+        .populate('createdBy', 'username email')
+        .sort({ createdAt: 1 });
+
+    const fulfilledQuantities = await Fulfillment.getFulfilledQuantities(order._id);
+
+    res.status(200).json({
+        success: true,
+        fulfillments,
+        unfulfilledItems: getUnfulfilledItems(order, fulfilledQuantities)
+    });
+});
+
+// @desc    Create a fulfillment for some or all remaining items of an order
+// @route   POST /api/admin/orders/:id/fulfillments
+// @access  Private/Admin
+export const createFulfillment = catchAsync(async (req, res, next) => {
+    const { items, status = 'pending' } = req.body;
+
+    if (!['pending', 'shipped'].includes(status)) {
+        return next(new AppError('A new fulfillment must be pending or shipped', 400));
+    }
+
+    if (items !== undefined && (!Array.isArray(items) || items.length === 0)) {
+        return next(new AppError('Items must be a non-empty array', 400));
+    }
+
+    const tracking = parseTracking(req.body);
+
+    let order = null;
+    let fulfillment = null;
+
+    // Saving the order in the same transaction makes concurrent fulfillments
+    // of one order conflict, so the remaining quantities cannot be overdrawn
+    await mongoose.connection.transaction(async (session) => {
+        order = await Order.findById(req.params.id).session(session);
+
+        if (!order) {
+            throw new AppError('Order not found', 404);
+        }
+
+        if (!FULFILLABLE_STATUSES.includes(order.status)) {
+            throw new AppError(`Cannot fulfill an order that is ${order.status}`, 400);
+        }
+
+        const fulfilledQuantities = await Fulfillment.getFulfilledQuantities(order._id, session);
+        const unfulfilled = getUnfulfilledItems(order, fulfilledQuantities);
+
+        // Without an item list, everything still outstanding goes in
+        const requestedItems = items || unfulfilled.map(item => ({
+            itemId: item.itemId,
+            quantity: item.quantity
+        }));
+
+        const fulfillmentItems = [];
+        for (const requested of requestedItems) {
+            const quantity = parseInt(requested.quantity);
+            const orderItem = order.items.id(requested.itemId);
+
+            if (!orderItem) {
+                throw new AppError('Item not found in this order', 400);
+            }
+
+            if (!quantity || quantity < 1) {
+                throw new AppError('Fulfillment quantity must be at least 1', 400);
+            }
+
+            const remaining = unfulfilled.find(item => item.itemId.equals(orderItem._id))?.quantity || 0;
+            const alreadyRequested = fulfillmentItems
+                .filter(item => item.orderItem.equals(orderItem._id))
+                .reduce((total, item) => total + item.quantity, 0);
+
+            if (quantity + alreadyRequested > remaining) {
+                throw new AppError(
+                    `Only ${remaining} of ${orderItem.name || 'this item'} is left to fulfill`,
+                    400
+                );
+            }
+
+            fulfillmentItems.push({
+                orderItem: orderItem._id,
+                product: orderItem.product,
+                name: orderItem.name,
+                quantity
+            });
+        }
+
+        if (fulfillmentItems.length === 0) {
+            throw new AppError('All items of this order are already fulfilled', 400);
+        }
+
+        fulfillment = new Fulfillment({
+            order: order._id,
+            items: fulfillmentItems,
+            createdBy: req.user._id
+        });
+        if (status === 'shipped') {
+            fulfillment.transitionStatus('shipped');
+        }
+        if (tracking) {
+            await attachShipment(fulfillment, tracking, req.user, session);
+        }
+        await fulfillment.save({ session });
+
+        // Packing a fulfillment means the order is being prepared
+        if (order.status === 'confirmed') {
+            order.transitionStatus('processing', '', { user: req.user._id, role: 'admin' });
+        }
+        await syncOrderFulfillmentStatus(order, {
+            note: `Fulfillment ${fulfillment.fulfillmentNumber} shipped`,
+            session
+        });
+        if (tracking) {
+            order.trackingNumber = tracking.trackingNumber;
+        }
+        await order.save({ session });
+    });
+
+    res.status(201).json({
+        success: true,
+        message: `Fulfillment ${fulfillment.fulfillmentNumber} created`,
+        fulfillment,
+        orderStatus: order.status
+    });
+});
+
+// @desc    Update a fulfillment's status or tracking details
+// @route   PATCH /api/admin/orders/:id/fulfillments/:fulfillmentId
+// @access  Private/Admin
+export const updateFulfillment = catchAsync(async (req, res, next) => {
+    const { status } = req.body;
+    const tracking = parseTracking(req.body);
+
+    if (!status && !tracking) {
+        return next(new AppError('Nothing to update', 400));
+    }
+
+    let order = null;
+    let fulfillment = null;
+
+    await mongoose.connection.transaction(async (session) => {
+        fulfillment = await Fulfillment.findOne({
+            _id: req.params.fulfillmentId,
+            order: req.params.id
+        }).session(session);
+
+        if (!fulfillment) {
+            throw new AppError('Fulfillment not found', 404);
+        }
+
+        order = await Order.findById(fulfillment.order).session(session);
+
+        if (!order) {
+            throw new AppError('Order not found', 404);
+        }
+
+        if (status && status !== fulfillment.status && !fulfillment.transitionStatus(status)) {
+            const allowed = Fulfillment.getAllowedTransitions(fulfillment.status);
+            throw new AppError(
+                `Cannot change fulfillment status from ${fulfillment.status} to ${status}. ` +
+                    (allowed.length
+                        ? `Allowed next statuses: ${allowed.join(', ')}`
+                        : `${fulfillment.status} is a final status`),
+                400
+            );
+        }
+
+        if (tracking) {
+            if (['delivered', 'cancelled'].includes(fulfillment.status)) {
+                throw new AppError(`Cannot change tracking of a ${fulfillment.status} fulfillment`, 400);
+            }
+            if (fulfillment.shipment) {
+                throw new AppError('This fulfillment already has a tracked shipment', 400);
+            }
+            await attachShipment(fulfillment, tracking, req.user, session);
+            order.trackingNumber = tracking.trackingNumber;
+        }
+
+        await fulfillment.save({ session });
+
+        await syncOrderFulfillmentStatus(order, {
+            note: `Fulfillment ${fulfillment.fulfillmentNumber} ${fulfillment.status}`,
+            session
+        });
+        await order.save({ session });
+    });
+
+    res.status(200).json({
+        success: true,
+        message: `Fulfillment ${fulfillment.fulfillmentNumber} is ${fulfillment.status}`,
+        fulfillment,
+        orderStatus: order.status
+    });
+});
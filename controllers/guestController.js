@@ -0,0 +1,123 @@
+import Order from '../models/order.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { placeOrderFromCart } from '../utils/checkout.js';
+import {
+    getCodVerificationSummary,
+    resendCodOtp,
+    confirmCodOrder
+} from '../utils/codVerification.js';
+
+// Guests cannot come back to pay online or hold a wallet
+const GUEST_PAYMENT_METHODS = ['cash_on_delivery'];
+
+// What an order lookup shows; anyone with the order number and email sees it
+const GUEST_ORDER_FIELDS = [
+    'orderNumber', 'items', 'shippingAddress', 'status', 'paymentStatus', 'paymentMethod',
+    'subtotal', 'shippingCost', 'tax', 'total', 'notes', 'invoiceNumber', 'invoicedAt',
+    'trackingNumber', 'estimatedDelivery', 'deliveredAt', 'cancelledAt', 'cancellationReason',
+    'cancelledItems', 'refundedAmount', 'statusHistory', 'trackingEvents', 'createdAt', 'updatedAt'
+].join(' ');
+
+// @desc    Create order from a guest cart
+// @route   POST /api/guest/orders
+// @access  Public (X-Cart-Token)
+export const createGuestOrder = catchAsync(async (req, res, next) => {
+    const { shippingAddress, paymentMethod = 'cash_on_delivery', notes = '' } = req.body;
+
+    if (!GUEST_PAYMENT_METHODS.includes(paymentMethod)) {
+        return next(new AppError('Guest checkout only supports cash on delivery. Please sign in to pay online.', 400));
+    }
+
+    const { order } = await placeOrderFromCart(
+        { guestTokenHash: req.guestTokenHash },
+        { guest: true, shippingAddress, paymentMethod, notes }
+    );
+
+    await order.populate({
+        path: 'items.product',
+        select: 'name price images category brand'
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Order created successfully. Use your order number and email to track it.',
+        order,
+        codVerification: getCodVerificationSummary(order)
+    });
+});
+
+// Find a guest's order from the order number and contact email in the body.
+// Every public guest entry point matches orders through here; `select`
+// limits the fields loaded.
+const findOrderByContact = async ({ orderNumber, email }, { select } = {}) => {
+    if (!orderNumber || !email) {
+        throw new AppError('Order number and email are required', 400);
+    }
+
+    const query = Order.findOne({
+        orderNumber: String(orderNumber).replace(/^#/, '').trim(),
+        'shippingAddress.email': String(email).toLowerCase().trim()
+    });
+    if (select) {
+        query.select(select);
+    }
+    const order = await query;
+
+    // Same answer for a wrong number or a wrong email
+    if (!order) {
+        throw new AppError('No order matches that order number and email', 404);
+    }
+
+    return order;
+};
+
+// @desc    Look up an order by order number and contact email
+// @route   POST /api/guest/orders/lookup
+// @access  Public
+export const lookupOrder = catchAsync(async (req, res, next) => {
+    const order = await findOrderByContact(req.body, { select: GUEST_ORDER_FIELDS });
+
+    await order.populate({
+        path: 'items.product',
+        select: 'name price images category brand'
+    });
+
+    res.status(200).json({
+        success: true,
+        order: order.toCustomerJSON(),
+        timeline: order.getTimeline()
+    });
+});
+
+// @desc    Confirm a cash-on-delivery order with the code sent by SMS
+// @route   POST /api/guest/orders/confirm-cod
+// @access  Public
+export const confirmGuestCodOrder = catchAsync(async (req, res, next) => {
+    if (!req.body.otp) {
+        return next(new AppError('Confirmation code is required', 400));
+    }
+
+    const order = await findOrderByContact(req.body);
+    const confirmed = await confirmCodOrder(order, req.body.otp, { role: 'customer' });
+
+    res.status(200).json({
+        success: true,
+        message: 'Order confirmed',
+        order: confirmed.toCustomerJSON()
+    });
+});
+
+// @desc    Send a new cash-on-delivery confirmation code
+// @route   POST /api/guest/orders/confirm-cod/resend
+// @access  Public
+export const resendGuestCodConfirmation = catchAsync(async (req, res, next) => {
+    const order = await findOrderByContact(req.body);
+
+    await resendCodOtp(order);
+
+    res.status(200).json({
+        success: true,
+        message: 'A new confirmation code has been sent',
+        codVerification: getCodVerificationSummary(order)
+    });
+});
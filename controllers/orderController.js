@@ -3,6 +3,30 @@ import Cart from '../models/cart.js';
 import Product from '../models/product.js';
 import mongoose from 'mongoose';
 import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import {
+    requiresReservation,
+    createReservation,
+    convertReservation,
+    cancelOrderWithRestock,
+    syncReservationItems
+} from '../utils/stockReservations.js';
+import { sendInvoicePdf } from '../utils/pdfDocuments.js';
+import { placeOrderFromCart } from '../utils/checkout.js';
+import { recalculateOrderTotals } from '../utils/orderPricing.js';
+import { estimateDelivery } from '../utils/deliveryEstimate.js';
+import {
+    getCodVerificationSummary,
+    startCodVerification,
+    resendCodOtp,
+    confirmCodOrder
+} from '../utils/codVerification.js';
+
+// Matches the max quantity per line in the cart schema
+const MAX_CART_ITEM_QUANTITY = 100;
+
+const SHIPPING_ADDRESS_FIELDS = [
+    'firstName', 'lastName', 'email', 'phone', 'street', 'city', 'state', 'zipCode', 'country'
+];
 
 // @desc    Create new order
 // @route   POST /api/user/orders
@@ -10,99 +34,76 @@ import { AppError, catchAsync } from '../middleware/errorHandler.js';
 export const createOrder = catchAsync(async (req, res, next) => {
     const { shippingAddress, paymentMethod = 'cash_on_delivery', notes = '' } = req.body;
 
-    // Validate shipping address
-    if (!shippingAddress || !shippingAddress.firstName || !shippingAddress.lastName ||
-        !shippingAddress.street || !shippingAddress.city || !shippingAddress.state ||
-        !shippingAddress.zipCode || !shippingAddress.phone || !shippingAddress.email) {
-        return next(new AppError('Complete shipping address is required', 400));
-    }
-
-    // Get user's cart
-    const cart = await Cart.findOne({ user: req.user.id })
-        .populate({
-            path: 'items.product',
-            select: 'name price status quantity images category brand'
-        });
+    const { order, reservation } = await placeOrderFromCart(
+        { user: req.user.id },
+        { user: req.user.id, shippingAddress, paymentMethod, notes }
+    );
 
-    if (!cart || cart.items.length === 0) {
-        return next(new AppError('Cart is empty', 400));
-    }
+    // Populate order with product details
+    await order.populate({
+        path: 'items.product',
+        select: 'name price images category brand'
+    });
 
-    // Validate all products are still available
-    const unavailableProducts = [];
-    for (const item of cart.items) {
-        if (!item.product || item.product.status !== 'active') {
-            unavailableProducts.push(item.product?.name || 'Unknown product');
-            continue;
-        }
+    res.status(201).json({
+        success: true,
+        message: 'Order created successfully',
+        order,
+        reservation: reservation
+            ? { expiresAt: reservation.expiresAt }
+            : null,
+        codVerification: getCodVerificationSummary(order)
+    });
+});
 
-        if (item.product.quantity < item.quantity) {
-            unavailableProducts.push(`${item.product.name} (only ${item.product.quantity} available)`);
-        }
+// @desc    Confirm a cash-on-delivery order with the code sent by SMS
+// @route   POST /api/user/orders/:id/confirm-cod
+// @access  Private
+export const confirmCodOrderByOtp = catchAsync(async (req, res, next) => {
+    if (!req.body.otp) {
+        return next(new AppError('Confirmation code is required', 400));
     }
 
-    if (unavailableProducts.length > 0) {
-        return next(new AppError(
-            `Some products are no longer available: ${unavailableProducts.join(', ')}`,
-            400
-        ));
+    const order = await Order.findOne({
+        _id: req.params.id,
+        user: req.user.id
+    });
+
+    if (!order) {
+        return next(new AppError('Order not found', 404));
     }
 
-    // Calculate totals
-    const subtotal = cart.items.reduce((total, item) => {
-        return total + (item.product.price * item.quantity);
-    }, 0);
+    const confirmed = await confirmCodOrder(order, req.body.otp, {
+        user: req.user._id,
+        role: 'customer'
+    });
 
-    const shippingCost = subtotal > 5000 ? 0 : 200; // Free shipping over 5000 PKR
-    const tax = Math.round(subtotal * 0.05); // 5% tax
-    const total = subtotal + shippingCost + tax;
-
-    // Create order
-    const order = new Order({
-        user: req.user.id,
-        items: cart.items.map(item => ({
-            product: item.product._id,
-            quantity: item.quantity,
-            price: item.product.price,
-            total: item.product.price * item.quantity
-        })),
-        shippingAddress,
-        paymentMethod,
-        subtotal,
-        shippingCost,
-        tax,
-        total,
-        notes,
-        status: 'pending',
-        paymentStatus: paymentMethod === 'cash_on_delivery' ? 'pending' : 'pending'
+    res.status(200).json({
+        success: true,
+        message: 'Order confirmed',
+        order: confirmed.toCustomerJSON()
     });
+});
 
-    await order.save();
+// @desc    Send a new cash-on-delivery confirmation code
+// @route   POST /api/user/orders/:id/confirm-cod/resend
+// @access  Private
+export const resendCodConfirmation = catchAsync(async (req, res, next) => {
+    const order = await Order.findOne({
+        _id: req.params.id,
+        user: req.user.id
+    });
 
-    // Reduce product quantities
-    for (const item of cart.items) {
-        await Product.findByIdAndUpdate(
-            item.product._id,
-            { $inc: { quantity: -item.quantity } }
-        );
+    if (!order) {
+        return next(new AppError('Order not found', 404));
     }
 
-    // Clear cart after successful order
-    cart.items = [];
-    cart.totalItems = 0;
-    cart.totalPrice = 0;
-    await cart.save();
+    await resendCodOtp(order);
 
-    // Populate order with product details
-    await order.populate({
-        path: 'items.product',
-        select: 'name price images category brand'
-    });
-
-    res.status(201).json({
+    res.status(200).json({
         success: true,
-        message: 'Order created successfully',
-        order
+        message: 'A new confirmation code has been sent',
+        codVerification: getCodVerificationSummary(order)
     });
 });
 
@@ -132,7 +133,7 @@ export const getUserOrders = catchAsync(async (req, res, next) => {
 
     res.status(200).json({
         success: true,
-        orders,
+        orders: orders.map(order => order.toCustomerJSON()),
         pagination: {
             currentPage: parseInt(page),
             totalPages: Math.ceil(totalOrders / parseInt(limit)),
@@ -161,7 +162,324 @@ export const getOrder = catchAsync(async (req, res, next) => {
 
     res.status(200).json({
         success: true,
-        order
+        order: order.toCustomerJSON(),
+        timeline: order.getTimeline()
+    });
+});
+
+// @desc    Download order invoice (PDF)
+// @route   GET /api/user/orders/:id/invoice
+// @access  Private
+export const getOrderInvoice = catchAsync(async (req, res, next) => {
+    const order = await Order.findOne({
+        _id: req.params.id,
+        user: req.user.id
+    }).populate('items.product', 'name');
+
+    if (!order) {
+        return next(new AppError('Order not found', 404));
+    }
+
+    if (!order.invoiceNumber && order.status === 'cancelled') {
+        return next(new AppError('No invoice is available for a cancelled order', 400));
+    }
+
+    await order.issueInvoice();
+
+    sendInvoicePdf(res, order);
+});
+
+// @desc    Update a pending order
+// @route   PATCH /api/user/orders/:id
+// @access  Private
+export const updateOrder = catchAsync(async (req, res, next) => {
+    const { shippingAddress, notes, paymentMethod, items } = req.body;
+
+    if ([shippingAddress, notes, paymentMethod, items].every(value => value === undefined)) {
+        return next(new AppError('Nothing to update', 400));
+    }
+
+    const order = await Order.findOne({
+        _id: req.params.id,
+        user: req.user.id
+    });
+
+    if (!order) {
+        return next(new AppError('Order not found', 404));
+    }
+
+    if (!order.canBeModified()) {
+        return next(new AppError('Only pending orders can be modified', 400));
+    }
+
+    if (order.paymentStatus === 'paid') {
+        return next(new AppError('Paid orders cannot be modified', 400));
+    }
+
+    const changes = [];
+    const previousPaymentMethod = order.paymentMethod;
+
+    if (shippingAddress !== undefined) {
+        if (!shippingAddress || typeof shippingAddress !== 'object') {
+            return next(new AppError('Shipping address must be an object', 400));
+        }
+
+        for (const field of SHIPPING_ADDRESS_FIELDS) {
+            const value = shippingAddress[field];
+            if (value !== undefined && value !== order.shippingAddress[field]) {
+                changes.push({ field: `shippingAddress.${field}`, from: order.shippingAddress[field], to: value });
+                order.shippingAddress[field] = value;
+            }
+        }
+
+        // A different destination changes the delivery lead time
+        if (order.isModified('shippingAddress.city') || order.isModified('shippingAddress.state')) {
+            order.estimatedDelivery = estimateDelivery(order.shippingAddress).estimatedDelivery;
+        }
+    }
+
+    if (notes !== undefined && notes !== (order.notes || '')) {
+        changes.push({ field: 'notes', from: order.notes, to: notes });
+        order.notes = notes;
+    }
+
+    if (paymentMethod !== undefined && paymentMethod !== order.paymentMethod) {
+        if (!Order.schema.path('paymentMethod').enumValues.includes(paymentMethod)) {
+            return next(new AppError('Invalid payment method', 400));
+        }
+        changes.push({ field: 'paymentMethod', from: order.paymentMethod, to: paymentMethod });
+        order.paymentMethod = paymentMethod;
+    }
+
+    // Stock still needed (positive) or given back (negative) per order line
+    const stockChanges = [];
+    if (items !== undefined) {
+        if (!Array.isArray(items)) {
+            return next(new AppError('Items must be an array', 400));
+        }
+
+        for (const requested of items) {
+            const quantity = parseInt(requested.quantity);
+            const orderItem = requested.itemId
+                ? order.items.id(requested.itemId)
+                : order.items.find(item => item.product.toString() === String(requested.productId));
+
+            if (!orderItem) {
+                return next(new AppError('Item not found in this order', 400));
+            }
+
+            if (isNaN(quantity) || quantity < 0 || quantity > 100) {
+                return next(new AppError('Quantity must be between 0 and 100', 400));
+            }
+
+            if (quantity === orderItem.quantity) continue;
+
+            changes.push({
+                field: `items.${orderItem.name || orderItem.product}.quantity`,
+                from: orderItem.quantity,
+                to: quantity
+            });
+            stockChanges.push({
+                product: orderItem.product,
+                name: orderItem.name || 'Unknown product',
+                delta: quantity - orderItem.quantity
+            });
+
+            if (quantity === 0) {
+                order.items.pull(orderItem._id);
+            } else {
+                orderItem.quantity = quantity;
+            }
+        }
+
+        if (order.items.length === 0) {
+            return next(new AppError('An order must keep at least one item; cancel the order instead', 400));
+        }
+    }
+
+    if (changes.length === 0) {
+        return res.status(200).json({
+            success: true,
+            message: 'No changes to apply',
+            order: order.toCustomerJSON()
+        });
+    }
+
+    if (stockChanges.length > 0) {
+        const previousTotal = order.total;
+        recalculateOrderTotals(order);
+        if (order.total !== previousTotal) {
+            changes.push({ field: 'total', from: previousTotal, to: order.total });
+        }
+    }
+
+    order.modifications.push({
+        changedBy: req.user._id,
+        changedAt: new Date(),
+        changes
+    });
+
+    await mongoose.connection.transaction(async (session) => {
+        const outOfStock = [];
+
+        for (const change of stockChanges) {
+            if (change.delta > 0) {
+                const updated = await Product.findOneAndUpdate(
+                    {
+                        _id: change.product,
+                        status: 'active',
+                        quantity: { $gte: change.delta }
+                    },
+                    { $inc: { quantity: -change.delta } },
+                    { new: true, session }
+                );
+
+                if (!updated) {
+                    outOfStock.push(change.name);
+                }
+            } else {
+                await Product.findByIdAndUpdate(
+                    change.product,
+                    { $inc: { quantity: -change.delta } },
+                    { session }
+                );
+            }
+        }
+
+        if (outOfStock.length > 0) {
+            throw new AppError(`Not enough stock for: ${outOfStock.join(', ')}`, 409);
+        }
+
+        await order.save({ session });
+
+        // Move the stock hold along with a payment method switch
+        const hadReservation = requiresReservation(previousPaymentMethod);
+        const needsReservation = requiresReservation(order.paymentMethod);
+
+        if (hadReservation && !needsReservation) {
+            await convertReservation(order._id, session);
+        } else if (!hadReservation && needsReservation) {
+            await createReservation(order, session);
+        } else if (stockChanges.length > 0) {
+            await syncReservationItems(order, session);
+        }
+    });
+
+    // Switching to cash on delivery needs the same phone confirmation
+    if (order.paymentMethod === 'cash_on_delivery' && !order.codVerification) {
+        await startCodVerification(order);
+    }
+
+    await order.populate({
+        path: 'items.product',
+        select: 'name price images category brand'
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Order updated successfully',
+        order: order.toCustomerJSON(),
+        codVerification: getCodVerificationSummary(order)
+    });
+});
+
+// @desc    Add the items of a past order to the cart again
+// @route   POST /api/user/orders/:id/reorder
+// @access  Private
+export const reorder = catchAsync(async (req, res, next) => {
+    const order = await Order.findOne({
+        _id: req.params.id,
+        user: req.user.id
+    }).populate({
+        path: 'items.product',
+        select: 'name price status quantity'
+    });
+
+    if (!order) {
+        return next(new AppError('Order not found', 404));
+    }
+
+    const cart = await Cart.getOrCreate(req.user._id);
+    // addItem matches on product ids, so work on the unpopulated cart
+    cart.depopulate('items.product');
+
+    const report = {
+        added: [],
+        adjusted: [],
+        skipped: [],
+        priceChanged: []
+    };
+
+    for (const item of order.items) {
+        const product = item.product;
+        const name = item.name || product?.name || 'Unknown product';
+
+        if (!product || product.status !== 'active') {
+            report.skipped.push({ name, reason: 'No longer available' });
+            continue;
+        }
+
+        const inCart = cart.items.find(cartItem =>
+            cartItem.product.toString() === product._id.toString()
+        )?.quantity || 0;
+        const available = Math.min(product.quantity, MAX_CART_ITEM_QUANTITY) - inCart;
+
+        if (available <= 0) {
+            report.skipped.push({
+                name,
+                reason: product.quantity === 0 ? 'Out of stock' : 'Cart already holds all available stock'
+            });
+            continue;
+        }
+
+        const quantity = Math.min(item.quantity, available);
+        await cart.addItem(product._id, quantity);
+
+        report.added.push({ product: product._id, name, quantity });
+
+        if (quantity < item.quantity) {
+            report.adjusted.push({
+                product: product._id,
+                name,
+                requested: item.quantity,
+                added: quantity,
+                reason: `Only ${available} more available`
+            });
+        }
+
+        if (product.price !== item.price) {
+            report.priceChanged.push({
+                product: product._id,
+                name,
+                oldPrice: item.price,
+                newPrice: product.price
+            });
+        }
+    }
+
+    await cart.populate({
+        path: 'items.product',
+        select: 'name price images category brand status quantity'
+    });
+
+    const totalPrice = cart.items.reduce((total, item) => {
+        return total + (item.product.price * item.quantity);
+    }, 0);
+
+    const totalItems = cart.items.reduce((total, item) => total + item.quantity, 0);
+
+    res.status(200).json({
+        success: true,
+        message: report.added.length > 0
+            ? 'Items from your order were added to the cart'
+            : 'None of the items from this order could be added to the cart',
+        report,
+        cart: {
+            id: cart._id,
+            items: cart.items,
+            totalItems,
+            totalPrice
+        }
     });
 });
 
@@ -179,27 +497,136 @@ export const cancelOrder = catchAsync(async (req, res, next) => {
     }
 
     // Only allow cancellation if order is pending or confirmed
-    if (!['pending', 'confirmed'].includes(order.status)) {
+    if (!order.canBeCancelled()) {
         return next(new AppError('Order cannot be cancelled at this stage', 400));
     }
 
-    // Restore product quantities
-    for (const item of order.items) {
-        await Product.findByIdAndUpdate(
-            item.product,
-            { $inc: { quantity: item.quantity } }
-        );
+    // Restock, close any stock hold and cancel together; a paid order is
+    // refunded to the method it was paid with
+    const cancelledOrder = await cancelOrderWithRestock(order._id, {
+        filter: { user: req.user.id },
+        reason: req.body.reason || '',
+        actor: { user: req.user._id, role: 'customer' },
+        refundPayment: true
+    });
+
+    if (!cancelledOrder) {
+        return next(new AppError('Order was updated in the meantime and can no longer be cancelled', 409));
+    }
+
+    const refundPending = cancelledOrder.paymentStatus === 'paid';
+
+    res.status(200).json({
+        success: true,
+        message: refundPending
+            ? 'Order cancelled, but the refund could not be processed yet. Please retry the refund.'
+            : 'Order cancelled successfully',
+        order: cancelledOrder.toCustomerJSON()
+    });
+});
+
+// @desc    Cancel specific items of an order
+// @route   PATCH /api/user/orders/:id/items/cancel
+// @access  Private
+export const cancelOrderItems = catchAsync(async (req, res, next) => {
+    const { items, reason = '' } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+        return next(new AppError('Select at least one item to cancel', 400));
+    }
+
+    const order = await Order.findOne({
+        _id: req.params.id,
+        user: req.user.id
+    });
+
+    if (!order) {
+        return next(new AppError('Order not found', 404));
+    }
+
+    if (!order.canBeCancelled()) {
+        return next(new AppError('Order cannot be cancelled at this stage', 400));
+    }
+
+    if (order.paymentStatus === 'paid') {
+        return next(new AppError('Items of a paid order cannot be cancelled individually; cancel the whole order instead', 400));
+    }
+
+    // Work out what to cancel before changing anything
+    const cancellations = new Map();
+    for (const requested of items) {
+        const quantity = parseInt(requested.quantity);
+        const orderItem = requested.itemId
+            ? order.items.id(requested.itemId)
+            : order.items.find(item => item.product.toString() === String(requested.productId));
+
+        if (!orderItem) {
+            return next(new AppError('Item not found in this order', 400));
+        }
+
+        const key = orderItem._id.toString();
+        const total = (cancellations.get(key)?.quantity || 0) + quantity;
+
+        if (!quantity || quantity < 1 || total > orderItem.quantity) {
+            return next(new AppError(
+                `Cancel quantity for ${orderItem.name || 'item'} must be between 1 and ${orderItem.quantity}`,
+                400
+            ));
+        }
+
+        cancellations.set(key, { orderItem, quantity: total });
+    }
+
+    const remainingUnits = order.items.reduce((total, item) => {
+        return total + item.quantity - (cancellations.get(item._id.toString())?.quantity || 0);
+    }, 0);
+
+    if (remainingUnits === 0) {
+        return next(new AppError('This would cancel every item; cancel the whole order instead', 400));
     }
 
-    // Update order status
-    order.status = 'cancelled';
-    order.paymentStatus = 'refunded';
-    await order.save();
+    for (const { orderItem, quantity } of cancellations.values()) {
+        order.cancelledItems.push({
+            product: orderItem.product,
+            name: orderItem.name,
+            quantity,
+            price: orderItem.price,
+            reason,
+            cancelledAt: new Date()
+        });
+
+        if (quantity === orderItem.quantity) {
+            order.items.pull(orderItem._id);
+        } else {
+            orderItem.quantity -= quantity;
+        }
+    }
+
+    // Shipping and tax follow the new subtotal so the total check still holds
+    recalculateOrderTotals(order);
+
+    await mongoose.connection.transaction(async (session) => {
+        for (const { orderItem, quantity } of cancellations.values()) {
+            await Product.findByIdAndUpdate(
+                orderItem.product,
+                { $inc: { quantity } },
+                { session }
+            );
+        }
+
+        await order.save({ session });
+        await syncReservationItems(order, session);
+    });
+
+    await order.populate({
+        path: 'items.product',
+        select: 'name price images category brand'
+    });
 
     res.status(200).json({
         success: true,
-        message: 'Order cancelled successfully',
-        order
+        message: 'Items cancelled successfully',
+        order: order.toCustomerJSON()
     });
 });
 
@@ -211,6 +638,7 @@ export const getOrderStatusOptions = catchAsync(async (req, res, next) => {
         { value: 'pending', label: 'Pending Confirmation', description: 'Order is being processed' },
         { value: 'confirmed', label: 'Confirmed', description: 'Order has been confirmed' },
         { value: 'processing', label: 'Processing', description: 'Order is being prepared' },
+        { value: 'partially_shipped', label: 'Partially Shipped', description: 'Some items have been shipped' },
         { value: 'shipped', label: 'Shipped', description: 'Order has been shipped' },
         { value: 'delivered', label: 'Delivered', description: 'Order has been delivered' },
         { value: 'cancelled', label: 'Cancelled', description: 'Order has been cancelled' }
@@ -1,5 +1,56 @@
+import mongoose from 'mongoose';
 import Order from '../models/order.js';
+import PaymentTransaction from '../models/paymentTransaction.js';
+import PaymentWebhookEvent from '../models/paymentWebhookEvent.js';
+import Return from '../models/return.js';
+import StockReservation from '../models/stockReservation.js';
+import Wallet from '../models/wallet.js';
 import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import {
+    convertReservation,
+    releaseExpiredReservation
+} from '../utils/stockReservations.js';
+import {
+    REFUND_DESTINATIONS,
+    getGateway,
+    getGatewayByName,
+    getRefundGateway
+} from '../utils/paymentGateways/index.js';
+import { callGateway, claimAuthorization, refundOrder } from '../utils/paymentLedger.js';
+import { processPaymentWebhookEvent } from '../utils/paymentWebhooks.js';
+
+// Attempts at capturing an authorized payment before releasing it
+const CAPTURE_ATTEMPTS = 2;
+
+// Capture an authorized card payment, retrying when the provider cannot be
+// reached. If it still does not go through, the authorization is voided so the
+// customer's card is not left on hold for an unpaid order. Returns the capture
+// result, or a failed result once the authorization has been given up.
+const captureAuthorization = async (gateway, order, reference, amount, actor) => {
+    const params = { order, reference, amount };
+
+    for (let attempt = 1; attempt <= CAPTURE_ATTEMPTS; attempt++) {
+        try {
+            const { result } = await callGateway(gateway, 'capture', params, { actor });
+            if (result.status !== 'failed') return result;
+            break;
+        } catch (error) {
+            // callGateway has already logged and recorded the failed attempt
+        }
+    }
+
+    try {
+        await callGateway(gateway, 'void', params, { actor });
+    } catch (error) {
+        // Left for the provider to expire; the ledger shows the failed void
+    }
+
+    return {
+        status: 'failed',
+        reference,
+        message: 'Payment could not be completed and was not charged. Please try again.'
+    };
+};
 
 // @desc    Process payment
 // @route   POST /api/user/payments
@@ -25,103 +76,145 @@ export const processPayment = catchAsync(async (req, res, next) => {
         return next(new AppError('Order has already been paid', 400));
     }
 
+    if (order.paymentStatus === 'capturing') {
+        return next(new AppError('Payment for this order is already being processed', 409));
+    }
+
     if (order.status === 'cancelled') {
         return next(new AppError('Cannot process payment for cancelled order', 400));
     }
 
-    // Simulate payment processing based on method
-    let paymentResult;
+    // The stock hold for online payments must still be valid
+    const reservation = await StockReservation.findOne({ order: order._id, status: 'active' });
+    if (reservation && reservation.isExpired) {
+        await releaseExpiredReservation(reservation._id);
+        return next(new AppError('Your stock reservation has expired and the order was cancelled. Please place the order again.', 410));
+    }
 
-    switch (paymentMethod) {
-        case 'cash_on_delivery':
-            paymentResult = {
-                success: true,
-                transactionId: null,
-                message: 'Payment will be collected on delivery'
-            };
-            break;
+    const gateway = getGateway(paymentMethod);
+    if (!gateway) {
+        return next(new AppError('Invalid payment method', 400));
+    }
 
-        case 'credit_card':
-            // Simulate credit card processing
-            if (!paymentDetails || !paymentDetails.cardNumber || !paymentDetails.cvv) {
-                return next(new AppError('Credit card details are required', 400));
+    const amount = order.total;
+    const actor = req.user._id;
+
+    // Charge and record the outcome on the order. Wallet payments run in one
+    // transaction with the order update, so the balance is only taken if the
+    // order is marked paid as well; the order is re-read inside it because a
+    // retried transaction starts over.
+    const settle = async (session = null) => {
+        const current = session ? await Order.findById(order._id).session(session) : order;
+        if (current.paymentStatus === 'paid') {
+            throw new AppError('Order has already been paid', 400);
+        }
+        current.paymentMethod = paymentMethod;
+
+        let { result } = await callGateway(gateway, 'initiate', {
+            order: current,
+            amount,
+            currency: 'PKR',
+            details: paymentDetails || {}
+        }, { actor, session });
+
+        // Authorized card payments are settled straight away. The claim saves
+        // the reference, so the authorization can be traced if the capture
+        // fails, and keeps the provider's webhook from capturing it as well.
+        if (result.status === 'authorized') {
+            if (!await claimAuthorization(current, result.reference, session)) {
+                return {
+                    status: 'pending',
+                    reference: result.reference,
+                    message: 'Payment authorized and being confirmed'
+                };
             }
+            current.paymentStatus = 'capturing';
+            current.paymentTransactionId = result.reference;
 
-            // Simulate processing (in real app, integrate with payment gateway)
-            paymentResult = {
-                success: Math.random() > 0.1, // 90% success rate for demo
-                transactionId: paymentResult?.success ? `TXN_${Date.now()}` : null,
-                message: paymentResult?.success ? 'Payment processed successfully' : 'Payment failed'
-            };
-            break;
-
-        case 'bank_transfer':
-            paymentResult = {
-                success: true,
-                transactionId: `BANK_${Date.now()}`,
-                message: 'Bank transfer initiated. Please complete the transfer.'
-            };
-            break;
+            result = await captureAuthorization(gateway, current, result.reference, amount, actor);
+        }
 
-        case 'wallet':
-            // Check if user has sufficient wallet balance (simulated)
-            const walletBalance = 10000; // This would come from user's wallet
-            if (walletBalance < order.total) {
-                return next(new AppError('Insufficient wallet balance', 400));
-            }
+        if (result.reference) {
+            current.paymentTransactionId = result.reference;
+        }
 
-            paymentResult = {
-                success: true,
-                transactionId: `WALLET_${Date.now()}`,
-                message: 'Payment processed from wallet'
-            };
-            break;
+        // Update order based on payment result
+        if (result.status === 'succeeded') {
+            current.paymentStatus = 'paid';
 
-        default:
-            return next(new AppError('Invalid payment method', 400));
-    }
+            // If order was pending, confirm it
+            if (current.status === 'pending') {
+                current.transitionStatus('confirmed', '', { role: 'system' });
+            }
+        } else if (result.status === 'failed') {
+            current.paymentStatus = 'failed';
+        }
 
-    // Update order based on payment result
-    if (paymentResult.success) {
-        order.paymentStatus = 'paid';
-        order.paymentMethod = paymentMethod;
-        order.paymentTransactionId = paymentResult.transactionId;
+        await current.save({ session });
 
-        // If order was pending, confirm it
-        if (order.status === 'pending') {
-            order.status = 'confirmed';
+        // Paid: the held stock is now permanently sold
+        if (result.status === 'succeeded') {
+            await convertReservation(current._id, session);
         }
 
-        await order.save();
+        return result;
+    };
+
+    let paymentResult;
+    if (gateway.settlesLocally) {
+        await mongoose.connection.transaction(async (session) => {
+            paymentResult = await settle(session);
+        });
+    } else {
+        paymentResult = await settle();
+    }
 
-        res.status(200).json({
+    if (paymentResult.status === 'succeeded') {
+        return res.status(200).json({
             success: true,
             message: paymentResult.message,
             payment: {
                 orderId: order._id,
-                transactionId: paymentResult.transactionId,
-                amount: order.total,
+                transactionId: paymentResult.reference,
+                amount,
                 status: 'paid',
                 method: paymentMethod
             }
         });
-    } else {
-        res.status(400).json({
-            success: false,
+    }
+
+    if (paymentResult.status === 'pending') {
+        return res.status(202).json({
+            success: true,
             message: paymentResult.message,
             payment: {
                 orderId: order._id,
-                status: 'failed',
-                method: paymentMethod
+                transactionId: paymentResult.reference,
+                amount,
+                status: 'pending',
+                method: paymentMethod,
+                nextAction: paymentResult.nextAction
             }
         });
     }
+
+    res.status(400).json({
+        success: false,
+        message: paymentResult.message,
+        payment: {
+            orderId: order._id,
+            status: 'failed',
+            method: paymentMethod
+        }
+    });
 });
 
 // @desc    Get payment methods
 // @route   GET /api/user/payments/methods
 // @access  Private
 export const getPaymentMethods = catchAsync(async (req, res, next) => {
+    const walletBalance = await Wallet.getBalance(req.user._id);
+
     const paymentMethods = [
         {
             id: 'cash_on_delivery',
@@ -149,7 +242,8 @@ export const getPaymentMethods = catchAsync(async (req, res, next) => {
             name: 'Wallet',
             description: 'Pay using your MarketMatch wallet balance',
             icon: '👛',
-            available: true
+            available: walletBalance > 0,
+            balance: walletBalance
         }
     ];
 
@@ -166,21 +260,36 @@ export const getPaymentStatus = catchAsync(async (req, res, next) => {
     const order = await Order.findOne({
         _id: req.params.orderId,
         user: req.user.id
-    }).select('paymentStatus paymentMethod paymentTransactionId total status');
+    }).select('paymentStatus paymentMethod paymentTransactionId total refundedAmount status');
 
     if (!order) {
         return next(new AppError('Order not found', 404));
     }
 
+    // Orders that never reached a gateway (or predate the ledger) fall back
+    // to what is stored on the order
+    const ledger = await PaymentTransaction.summarize(order._id);
+
     res.status(200).json({
         success: true,
         payment: {
             orderId: order._id,
-            status: order.paymentStatus,
+            status: ledger ? ledger.status : order.paymentStatus,
             method: order.paymentMethod,
-            transactionId: order.paymentTransactionId,
+            transactionId: ledger ? ledger.transactionId : order.paymentTransactionId,
             amount: order.total,
-            orderStatus: order.status
+            paidAmount: ledger ? ledger.paidAmount : 0,
+            refundedAmount: ledger ? ledger.refundedAmount : order.refundedAmount,
+            orderStatus: order.status,
+            transactions: (ledger ? ledger.transactions : []).map(transaction => ({
+                type: transaction.type,
+                status: transaction.status,
+                amount: transaction.amount,
+                currency: transaction.currency,
+                reference: transaction.reference,
+                message: transaction.message,
+                createdAt: transaction.createdAt
+            }))
         }
     });
 });
@@ -189,7 +298,11 @@ export const getPaymentStatus = catchAsync(async (req, res, next) => {
 // @route   POST /api/user/payments/:orderId/refund
 // @access  Private
 export const processRefund = catchAsync(async (req, res, next) => {
-    const { reason } = req.body;
+    const { reason, refundTo = 'original' } = req.body;
+
+    if (!REFUND_DESTINATIONS.includes(refundTo)) {
+        return next(new AppError(`Refund destination must be one of: ${REFUND_DESTINATIONS.join(', ')}`, 400));
+    }
 
     const order = await Order.findOne({
         _id: req.params.orderId,
@@ -204,33 +317,106 @@ export const processRefund = catchAsync(async (req, res, next) => {
         return next(new AppError('Order has not been paid yet', 400));
     }
 
+    // Delivered orders can be refunded within the return window, unless part
+    // of them is already being refunded through a return
     if (order.status === 'delivered') {
-        // For delivered orders, check if within refund period (7 days)
-        const deliveryDate = order.deliveredAt || order.createdAt;
-        const refundDeadline = new Date(deliveryDate.getTime() + 7 * 24 * 60 * 60 * 1000);
-
-        if (new Date() > refundDeadline) {
+        if (!order.isWithinReturnWindow()) {
             return next(new AppError('Refund period has expired (7 days from delivery)', 400));
         }
+
+        const openReturn = await Return.exists({
+            order: order._id,
+            status: { $nin: ['rejected', 'refunded'] }
+        });
+        if (openReturn) {
+            return next(new AppError('This order has a return in progress; it will be refunded through the return', 400));
+        }
     }
 
-    // Simulate refund processing
-    order.paymentStatus = 'refunded';
-    order.status = 'refunded';
-    order.refundReason = reason;
-    order.refundedAt = new Date();
+    // Check before any money moves. A cancelled order can still be paid when
+    // its refund failed at cancellation; it stays cancelled when retried here.
+    const cancelled = order.status === 'cancelled';
+    if (!cancelled && !order.canTransitionTo('refunded')) {
+        return next(new AppError(`A ${order.status} order cannot be refunded`, 400));
+    }
 
-    await order.save();
+    const refund = await refundOrder(order, getRefundGateway(order, refundTo), {
+        reason,
+        actor: { user: req.user._id, role: 'customer' }
+    });
 
     res.status(200).json({
         success: true,
-        message: 'Refund processed successfully',
+        message: refund.result.message,
         refund: {
             orderId: order._id,
-            amount: order.total,
-            transactionId: order.paymentTransactionId,
-            refundedAt: order.refundedAt,
+            amount: refund.amount,
+            status: refund.result.status,
+            refundedTo: refundTo === 'wallet' ? 'wallet' : order.paymentMethod,
+            transactionId: refund.result.reference,
+            refundedAt: refund.transaction.createdAt,
             reason: reason
         }
     });
 });
+
+// @desc    Receive a signed payment event from a provider
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (signature verified)
+export const paymentWebhook = catchAsync(async (req, res, next) => {
+    const gateway = getGatewayByName(req.params.provider);
+
+    if (!gateway) {
+        return next(new AppError('Unknown payment provider', 404));
+    }
+
+    // Signatures cover the exact bytes received, not the re-serialised body
+    let event;
+    try {
+        event = await gateway.verifyWebhook({ rawBody: req.rawBody, headers: req.headers });
+    } catch (error) {
+        return next(new AppError('Malformed webhook payload', 400));
+    }
+
+    if (!event) {
+        return next(new AppError('Invalid webhook signature', 401));
+    }
+
+    if (!event.id) {
+        return next(new AppError('Webhook event id is required', 400));
+    }
+
+    // Providers retry deliveries; an event id we have already stored is a no-op
+    let stored;
+    try {
+        stored = await PaymentWebhookEvent.create({
+            provider: gateway.name,
+            eventId: String(event.id),
+            type: event.type,
+            reference: event.reference,
+            paymentStatus: event.status,
+            amount: event.amount,
+            payload: event.raw
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        return res.status(200).json({
+            success: true,
+            duplicate: true
+        });
+    }
+
+    // Acknowledge straight away and update the order in the background; the
+    // order sweeper retries events that fail here
+    setImmediate(() => {
+        processPaymentWebhookEvent(stored._id).catch(error => {
+            console.error(`Payment webhook event ${stored._id} failed:`, error.message);
+        });
+    });
+
+    res.status(202).json({
+        success: true,
+        duplicate: false
+    });
+});
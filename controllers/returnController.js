@@ -0,0 +1,483 @@
+import mongoose from 'mongoose';
+import Order from '../models/order.js';
+import Product from '../models/product.js';
+import Return from '../models/return.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { REFUND_DESTINATIONS, getRefundGateway } from '../utils/paymentGateways/index.js';
+import { callGateway } from '../utils/paymentLedger.js';
+
+// Refund owed for a value of returned goods, including their share of the tax
+const refundableValue = (order, itemsValue) => {
+    const taxShare = order.subtotal > 0 ? Math.round(itemsValue * order.tax / order.subtotal) : 0;
+    return itemsValue + taxShare;
+};
+
+// @desc    Request a return for items of a delivered order
+// @route   POST /api/user/orders/:id/returns
+// @access  Private
+export const requestReturn = catchAsync(async (req, res, next) => {
+    const { items, reason } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+        return next(new AppError('Select at least one item to return', 400));
+    }
+
+    if (!reason || !reason.trim()) {
+        return next(new AppError('Return reason is required', 400));
+    }
+
+    const order = await Order.findOne({
+        _id: req.params.id,
+        user: req.user.id
+    });
+
+    if (!order) {
+        return next(new AppError('Order not found', 404));
+    }
+
+    if (order.status !== 'delivered') {
+        return next(new AppError('Only delivered orders can be returned', 400));
+    }
+
+    if (!order.isWithinReturnWindow()) {
+        return next(new AppError('Return period has expired (7 days from delivery)', 400));
+    }
+
+    // Touching the order makes concurrent requests for it conflict, so the
+    // one that retries counts the return the other has just created
+    let returnRequest;
+    await mongoose.connection.transaction(async (session) => {
+        await Order.updateOne(
+            { _id: order._id },
+            { $currentDate: { updatedAt: true } },
+            { session }
+        );
+
+        const returnedQuantities = await Return.getReturnedQuantities(order._id, { session });
+        const returnItems = [];
+
+        for (const requested of items) {
+            const quantity = parseInt(requested.quantity);
+            const orderItem = requested.itemId
+                ? order.items.id(requested.itemId)
+                : order.items.find(item => item.product.toString() === String(requested.productId));
+
+            if (!orderItem) {
+                throw new AppError('Item not found in this order', 400);
+            }
+
+            if (!quantity || quantity < 1) {
+                throw new AppError('Return quantity must be at least 1', 400);
+            }
+
+            const alreadyReturned = returnedQuantities.get(orderItem._id.toString()) || 0;
+            const returnable = orderItem.quantity - alreadyReturned;
+            const name = orderItem.name;
+
+            if (quantity > returnable) {
+                throw new AppError(
+                    `Only ${returnable} of ${name || 'this item'} can still be returned`,
+                    400
+                );
+            }
+
+            returnItems.push({
+                orderItem: orderItem._id,
+                product: orderItem.product,
+                name,
+                quantity,
+                price: orderItem.price
+            });
+        }
+
+        [returnRequest] = await Return.create([{
+            order: order._id,
+            user: req.user.id,
+            items: returnItems,
+            reason: reason.trim()
+        }], { session });
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Return requested successfully',
+        return: returnRequest
+    });
+});
+
+// @desc    Get returns for an order
+// @route   GET /api/user/orders/:id/returns
+// @access  Private
+export const getOrderReturns = catchAsync(async (req, res, next) => {
+    const returns = await Return.find({
+        order: req.params.id,
+        user: req.user.id
+    })
+        .select('-adminNotes -reviewedBy')
+        .sort({ createdAt: -1 });
+
+    res.status(200).json({
+        success: true,
+        returns
+    });
+});
+
+// @desc    Get all return requests
+// @route   GET /api/admin/returns
+// @access  Private/Admin
+export const getAllReturns = catchAsync(async (req, res, next) => {
+    const { page = 1, limit = 20, status } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {};
+    if (status) {
+        filter.status = status;
+    }
+
+    const returns = await Return.find(filter)
+        .populate('user', 'username email')
+        .populate('order', 'orderNumber total status deliveredAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+    const totalReturns = await Return.countDocuments(filter);
+
+    res.status(200).json({
+        success: true,
+        returns,
+        pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(totalReturns / parseInt(limit)),
+            totalReturns,
+            hasNext: parseInt(page) < Math.ceil(totalReturns / parseInt(limit)),
+            hasPrev: parseInt(page) > 1
+        }
+    });
+});
+
+// @desc    Get single return request
+// @route   GET /api/admin/returns/:id
+// @access  Private/Admin
+export const getReturnById = catchAsync(async (req, res, next) => {
+    const returnRequest = await Return.findById(req.params.id)
+        .populate('user', 'username email')
+        .populate('order')
+        .populate('reviewedBy', 'username email');
+
+    if (!returnRequest) {
+        return next(new AppError('Return not found', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        return: returnRequest
+    });
+});
+
+// @desc    Approve a return request
+// @route   PATCH /api/admin/returns/:id/approve
+// @access  Private/Admin
+export const approveReturn = catchAsync(async (req, res, next) => {
+    const returnRequest = await Return.findById(req.params.id);
+
+    if (!returnRequest) {
+        return next(new AppError('Return not found', 404));
+    }
+
+    if (returnRequest.status !== 'requested') {
+        return next(new AppError(`Return is already ${returnRequest.status}`, 400));
+    }
+
+    returnRequest.status = 'approved';
+    returnRequest.reviewedBy = req.user._id;
+    returnRequest.reviewedAt = new Date();
+    if (req.body.adminNotes) {
+        returnRequest.adminNotes = req.body.adminNotes;
+    }
+    await returnRequest.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Return approved',
+        return: returnRequest
+    });
+});
+
+// @desc    Reject a return request
+// @route   PATCH /api/admin/returns/:id/reject
+// @access  Private/Admin
+export const rejectReturn = catchAsync(async (req, res, next) => {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+        return next(new AppError('Rejection reason is required', 400));
+    }
+
+    const returnRequest = await Return.findById(req.params.id);
+
+    if (!returnRequest) {
+        return next(new AppError('Return not found', 404));
+    }
+
+    if (returnRequest.status !== 'requested') {
+        return next(new AppError(`Return is already ${returnRequest.status}`, 400));
+    }
+
+    returnRequest.status = 'rejected';
+    returnRequest.rejectionReason = reason.trim();
+    returnRequest.reviewedBy = req.user._id;
+    returnRequest.reviewedAt = new Date();
+    await returnRequest.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Return rejected',
+        return: returnRequest
+    });
+});
+
+// @desc    Mark returned items as received and restock or write them off
+// @route   PATCH /api/admin/returns/:id/receive
+// @access  Private/Admin
+export const receiveReturn = catchAsync(async (req, res, next) => {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+        return next(new AppError('Received items are required', 400));
+    }
+
+    const returnRequest = await Return.findById(req.params.id);
+
+    if (!returnRequest) {
+        return next(new AppError('Return not found', 404));
+    }
+
+    if (returnRequest.status !== 'approved') {
+        return next(new AppError('Only approved returns can be received', 400));
+    }
+
+    // Validate every inspection result before touching stock
+    for (const received of items) {
+        const item = returnRequest.items.id(received.itemId);
+        const receivedQuantity = parseInt(received.receivedQuantity);
+
+        if (!item) {
+            return next(new AppError('Item not found in this return', 400));
+        }
+
+        if (isNaN(receivedQuantity) || receivedQuantity < 0 || receivedQuantity > item.quantity) {
+            return next(new AppError(
+                `Received quantity for ${item.name || 'item'} must be between 0 and ${item.quantity}`,
+                400
+            ));
+        }
+
+        if (receivedQuantity > 0 && !['restock', 'write_off'].includes(received.disposition)) {
+            return next(new AppError('Disposition must be either restock or write_off', 400));
+        }
+
+        item.receivedQuantity = receivedQuantity;
+        item.disposition = receivedQuantity > 0 ? received.disposition : undefined;
+    }
+
+    returnRequest.status = 'received';
+    returnRequest.receivedAt = new Date();
+    if (req.body.adminNotes) {
+        returnRequest.adminNotes = req.body.adminNotes;
+    }
+
+    // Restocked quantities go back on sale together with the status change;
+    // the conditional claim stops a double submit from restocking twice
+    await mongoose.connection.transaction(async (session) => {
+        const claimed = await Return.updateOne(
+            { _id: returnRequest._id, status: 'approved' },
+            { status: 'received' },
+            { session }
+        );
+        if (claimed.modifiedCount === 0) {
+            throw new AppError('Return has already been received', 409);
+        }
+
+        for (const item of returnRequest.items) {
+            if (item.disposition === 'restock' && item.receivedQuantity > 0) {
+                await Product.findByIdAndUpdate(
+                    item.product,
+                    { $inc: { quantity: item.receivedQuantity } },
+                    { session }
+                );
+            }
+        }
+
+        await returnRequest.save({ session });
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Returned items received',
+        return: returnRequest
+    });
+});
+
+// Mark a claimed return refunded and add the amount to its order. Both are
+// re-read inside the session so a retried transaction starts from what is
+// committed. Returns { returnRequest, order }.
+const completeReturnRefund = async (returnId, fromStatus, amount, adminId, session) => {
+    const returnRequest = await Return.findOneAndUpdate(
+        { _id: returnId, status: fromStatus },
+        { status: 'refunded', refundAmount: amount, refundedAt: new Date() },
+        { new: true, session }
+    );
+    if (!returnRequest) {
+        throw new AppError('Return has already been refunded', 409);
+    }
+
+    const order = await Order.findById(returnRequest.order).session(session);
+    order.refundedAmount = (order.refundedAmount || 0) + amount;
+
+    // Once every item has come back the whole order counts as refunded
+    const returnedQuantities = await Return.getReturnedQuantities(order._id, { receivedOnly: true, session });
+    const fullyReturned = order.items.every(item =>
+        (returnedQuantities.get(item._id.toString()) || 0) >= item.quantity
+    );
+
+    if ((fullyReturned || order.refundedAmount >= order.total) && order.status !== 'refunded') {
+        order.transitionStatus(
+            'refunded',
+            `Refunded through return ${returnRequest.returnNumber}`,
+            { user: adminId, role: 'admin' }
+        );
+        if (order.paymentStatus === 'paid') {
+            order.paymentStatus = 'refunded';
+        }
+    }
+
+    await order.save({ session });
+    return { returnRequest, order };
+};
+
+// @desc    Refund a received return (partial or full)
+// @route   PATCH /api/admin/returns/:id/refund
+// @access  Private/Admin
+export const refundReturn = catchAsync(async (req, res, next) => {
+    const { refundTo = 'original' } = req.body;
+
+    if (!REFUND_DESTINATIONS.includes(refundTo)) {
+        return next(new AppError(`Refund destination must be one of: ${REFUND_DESTINATIONS.join(', ')}`, 400));
+    }
+
+    const returnRequest = await Return.findById(req.params.id);
+
+    if (!returnRequest) {
+        return next(new AppError('Return not found', 404));
+    }
+
+    if (returnRequest.status !== 'received') {
+        return next(new AppError('Only received returns can be refunded', 400));
+    }
+
+    const order = await Order.findById(returnRequest.order);
+
+    if (!order) {
+        return next(new AppError('Order not found', 404));
+    }
+
+    const remaining = order.total - (order.refundedAmount || 0);
+    const amount = req.body.amount !== undefined
+        ? parseFloat(req.body.amount)
+        : Math.min(refundableValue(order, returnRequest.receivedValue), remaining);
+
+    if (isNaN(amount) || amount < 0) {
+        return next(new AppError('Refund amount must be a non-negative number', 400));
+    }
+
+    if (amount > remaining) {
+        return next(new AppError(`Refund amount cannot exceed the remaining ${remaining} paid for this order`, 400));
+    }
+
+    // Only money the customer actually paid goes back through the gateway
+    const refundThroughGateway = order.paymentStatus === 'paid' && amount > 0;
+    const gateway = getRefundGateway(order, refundTo);
+    const reason = `Return ${returnRequest.returnNumber}`;
+
+    let refunded;
+
+    if (!refundThroughGateway || gateway.settlesLocally) {
+        // Wallet credits live in our own database, so the claim, the credit
+        // and the order update commit or roll back together
+        await mongoose.connection.transaction(async (session) => {
+            refunded = await completeReturnRefund(returnRequest._id, 'received', amount, req.user._id, session);
+
+            if (refundThroughGateway) {
+                const { result } = await callGateway(gateway, 'refund', {
+                    order: refunded.order,
+                    reference: order.paymentTransactionId,
+                    amount,
+                    reason
+                }, { reason, actor: req.user._id, session });
+
+                if (result.status === 'failed') {
+                    throw new AppError(result.message || 'Refund failed', 400);
+                }
+            }
+        });
+    } else {
+        // Claim the return before calling the provider, so a double submit
+        // cannot pay out twice, and keep the call out of any transaction so a
+        // retried transaction cannot either
+        const claimed = await Return.updateOne(
+            { _id: returnRequest._id, status: 'received' },
+            { status: 'refunding', refundAmount: amount }
+        );
+        if (claimed.modifiedCount === 0) {
+            return next(new AppError('Return is already being refunded', 409));
+        }
+
+        const releaseClaim = () => Return.updateOne(
+            { _id: returnRequest._id, status: 'refunding' },
+            { status: 'received', $unset: { refundAmount: 1 } }
+        );
+
+        let result;
+        try {
+            ({ result } = await callGateway(gateway, 'refund', {
+                order,
+                reference: order.paymentTransactionId,
+                amount,
+                reason
+            }, { reason, actor: req.user._id }));
+        } catch (error) {
+            await releaseClaim();
+            throw error;
+        }
+
+        if (result.status === 'failed') {
+            await releaseClaim();
+            return next(new AppError(result.message || 'Refund failed', 400));
+        }
+
+        // The money has left; a return stuck in "refunding" after this point
+        // is paid out (see the payment ledger) and only needs finalising
+        try {
+            await mongoose.connection.transaction(async (session) => {
+                refunded = await completeReturnRefund(returnRequest._id, 'refunding', amount, req.user._id, session);
+            });
+        } catch (error) {
+            console.error(`Return ${returnRequest.returnNumber} was refunded but could not be updated:`, error.message);
+            return next(new AppError('Refund was paid out but could not be recorded; the return is left as refunding', 500));
+        }
+    }
+
+    res.status(200).json({
+        success: true,
+        message: refunded.order.status === 'refunded' ? 'Order fully refunded' : 'Partial refund processed',
+        refund: {
+            returnId: returnRequest._id,
+            orderId: order._id,
+            amount,
+            refundedTo: refundTo === 'wallet' ? 'wallet' : order.paymentMethod,
+            totalRefunded: refunded.order.refundedAmount,
+            refundedAt: refunded.returnRequest.refundedAt
+        }
+    });
+});
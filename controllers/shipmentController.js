@@ -0,0 +1,184 @@
+import mongoose from 'mongoose';
+import Order from '../models/order.js';
+import Shipment from '../models/shipment.js';
+import Fulfillment from '../models/fulfillment.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import {
+    TRACKING_EVENT_TYPES,
+    getCarrier,
+    getCarrierList,
+    verifyCarrierSignature
+} from '../utils/carriers.js';
+import {
+    getFulfillmentStatusForEvent,
+    syncOrderFulfillmentStatus
+} from '../utils/fulfillments.js';
+
+// Orders that can be handed over to a carrier
+const SHIPPABLE_STATUSES = ['confirmed', 'processing', 'partially_shipped', 'shipped'];
+
+// @desc    Attach a carrier and tracking number to an order
+// @route   POST /api/admin/orders/:id/shipments
+// @access  Private/Admin
+export const createShipment = catchAsync(async (req, res, next) => {
+    const { carrier: carrierCode, trackingNumber } = req.body;
+
+    const carrier = getCarrier(String(carrierCode || '').toLowerCase());
+    if (!carrier) {
+        return next(new AppError(
+            `Carrier must be one of: ${getCarrierList().map(c => c.code).join(', ')}`,
+            400
+        ));
+    }
+
+    if (!trackingNumber || !String(trackingNumber).trim()) {
+        return next(new AppError('Tracking number is required', 400));
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+        return next(new AppError('Order not found', 404));
+    }
+
+    if (!SHIPPABLE_STATUSES.includes(order.status)) {
+        return next(new AppError(`Cannot ship an order that is ${order.status}`, 400));
+    }
+
+    const existing = await Shipment.findOne({ carrier: carrier.code, trackingNumber: String(trackingNumber).trim() });
+    if (existing) {
+        return next(new AppError('This tracking number is already attached to a shipment', 409));
+    }
+
+    const shipment = await Shipment.create({
+        order: order._id,
+        carrier: carrier.code,
+        trackingNumber: String(trackingNumber).trim(),
+        createdBy: req.user._id
+    });
+
+    // Keep the order's own tracking number pointing at the latest shipment
+    order.trackingNumber = shipment.trackingNumber;
+    await order.save();
+
+    res.status(201).json({
+        success: true,
+        message: `Shipment with ${carrier.name} created`,
+        shipment
+    });
+});
+
+// @desc    Get shipments of an order
+// @route   GET /api/admin/orders/:id/shipments
+// @access  Private/Admin
+export const getOrderShipments = catchAsync(async (req, res, next) => {
+    const shipments = await Shipment.find({ order: req.params.id })
+        .populate('createdBy', 'username email')
+        .sort({ createdAt: 1 });
+
+    res.status(200).json({
+        success: true,
+        shipments
+    });
+});
+
+// @desc    Receive a tracking event from a carrier
+// @route   POST /api/shipping/webhook/:carrier
+// @access  Public (signed with the carrier's webhook secret)
+export const carrierWebhook = catchAsync(async (req, res, next) => {
+    const carrier = getCarrier(req.params.carrier);
+
+    if (!carrier) {
+        return next(new AppError('Unknown carrier', 404));
+    }
+
+    if (!verifyCarrierSignature(carrier.code, req.rawBody, req.get('X-Carrier-Signature'))) {
+        return next(new AppError('Invalid webhook signature', 401));
+    }
+
+    const { eventId, trackingNumber, type, occurredAt, location, description } = req.body;
+
+    if (!eventId || !trackingNumber) {
+        return next(new AppError('eventId and trackingNumber are required', 400));
+    }
+
+    if (!TRACKING_EVENT_TYPES[type]) {
+        return next(new AppError(
+            `Event type must be one of: ${Object.keys(TRACKING_EVENT_TYPES).join(', ')}`,
+            400
+        ));
+    }
+
+    const occurred = occurredAt ? new Date(occurredAt) : new Date();
+    if (isNaN(occurred.getTime())) {
+        return next(new AppError('Invalid occurredAt date', 400));
+    }
+
+    const shipment = await Shipment.findOne({ carrier: carrier.code, trackingNumber: String(trackingNumber) });
+
+    if (!shipment) {
+        return next(new AppError('Shipment not found', 404));
+    }
+
+    const event = {
+        eventId: String(eventId),
+        type,
+        description: description || TRACKING_EVENT_TYPES[type],
+        location,
+        occurredAt: occurred
+    };
+
+    // Record the event on the shipment and the order together; carriers
+    // retry deliveries, so an event id we have already seen is a no-op
+    let duplicate = false;
+    let order = null;
+    await mongoose.connection.transaction(async (session) => {
+        const updated = await Shipment.recordEvent(shipment._id, { ...event, raw: req.body }, session);
+        duplicate = !updated;
+        if (duplicate) return;
+
+        order = await Order.findById(shipment.order).session(session);
+        if (!order) {
+            throw new AppError('Order not found', 404);
+        }
+
+        order.applyTrackingEvent({
+            carrier: carrier.code,
+            trackingNumber: shipment.trackingNumber,
+            type: event.type,
+            description: event.description,
+            location: event.location,
+            occurredAt: event.occurredAt
+        }, { advanceStatus: !shipment.fulfillment });
+
+        // A parcel holding part of the order moves its fulfillment, and the
+        // order follows from all of its fulfillments together
+        if (shipment.fulfillment) {
+            const fulfillment = await Fulfillment.findById(shipment.fulfillment).session(session);
+            const fulfillmentStatus = getFulfillmentStatusForEvent(event.type);
+
+            if (fulfillment && fulfillmentStatus && fulfillment.status !== fulfillmentStatus) {
+                // Catch up a pending fulfillment that is delivered straight away
+                if (fulfillmentStatus === 'delivered') {
+                    fulfillment.transitionStatus('shipped', event.occurredAt);
+                }
+                fulfillment.transitionStatus(fulfillmentStatus, event.occurredAt);
+                await fulfillment.save({ session });
+
+                await syncOrderFulfillmentStatus(order, {
+                    note: `Fulfillment ${fulfillment.fulfillmentNumber} ${fulfillment.status}`,
+                    at: event.occurredAt,
+                    session
+                });
+            }
+        }
+
+        await order.save({ session });
+    });
+
+    res.status(200).json({
+        success: true,
+        duplicate,
+        orderStatus: order ? order.status : undefined
+    });
+});
@@ -0,0 +1,165 @@
+import mongoose from 'mongoose';
+import User from '../models/user.js';
+import Wallet from '../models/wallet.js';
+import WalletTransaction from '../models/walletTransaction.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+
+const RECENT_TRANSACTIONS = 10;
+
+// Sources an admin may use by hand; refunds and order payments are only
+// written by the payment flow
+const MANUAL_SOURCES = {
+    credit: ['top_up', 'admin_adjustment'],
+    debit: ['admin_adjustment']
+};
+
+// Page of a user's wallet movements, newest first
+const findWalletTransactions = async (userId, { page = 1, limit = 20, type }) => {
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { user: userId };
+    if (type) {
+        filter.type = type;
+    }
+
+    const transactions = await WalletTransaction.find(filter)
+        .populate('order', 'orderNumber')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+    const totalTransactions = await WalletTransaction.countDocuments(filter);
+
+    return {
+        transactions,
+        pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(totalTransactions / parseInt(limit)),
+            totalTransactions,
+            hasNext: parseInt(page) < Math.ceil(totalTransactions / parseInt(limit)),
+            hasPrev: parseInt(page) > 1
+        }
+    };
+};
+
+// @desc    Get wallet balance
+// @route   GET /api/user/wallet
+// @access  Private
+export const getWallet = catchAsync(async (req, res, next) => {
+    const wallet = await Wallet.findOne({ user: req.user._id });
+
+    res.status(200).json({
+        success: true,
+        wallet: {
+            balance: wallet ? wallet.balance : 0,
+            currency: wallet ? wallet.currency : 'PKR',
+            updatedAt: wallet ? wallet.updatedAt : null
+        }
+    });
+});
+
+// @desc    Get wallet transaction history
+// @route   GET /api/user/wallet/transactions?type=credit|debit
+// @access  Private
+export const getWalletTransactions = catchAsync(async (req, res, next) => {
+    if (req.query.type && !['credit', 'debit'].includes(req.query.type)) {
+        return next(new AppError('Type must be either credit or debit', 400));
+    }
+
+    const { transactions, pagination } = await findWalletTransactions(req.user._id, req.query);
+
+    res.status(200).json({
+        success: true,
+        transactions: transactions.map(transaction => {
+            const { createdBy, ...rest } = transaction.toObject();
+            return rest;
+        }),
+        pagination
+    });
+});
+
+// @desc    Get a user's wallet with its recent transactions
+// @route   GET /api/admin/users/:id/wallet
+// @access  Private/Admin
+export const getUserWallet = catchAsync(async (req, res, next) => {
+    const user = await User.findById(req.params.id).select('username email');
+
+    if (!user) {
+        return next(new AppError('User not found', 404));
+    }
+
+    const wallet = await Wallet.findOne({ user: user._id });
+    const { transactions, pagination } = await findWalletTransactions(user._id, {
+        limit: RECENT_TRANSACTIONS,
+        ...req.query
+    });
+
+    res.status(200).json({
+        success: true,
+        user,
+        wallet: {
+            balance: wallet ? wallet.balance : 0,
+            currency: wallet ? wallet.currency : 'PKR',
+            updatedAt: wallet ? wallet.updatedAt : null
+        },
+        transactions,
+        pagination
+    });
+});
+
+// @desc    Credit or debit a user's wallet (top-up or manual adjustment)
+// @route   POST /api/admin/users/:id/wallet/adjustments
+// @access  Private/Admin
+export const adjustUserWallet = catchAsync(async (req, res, next) => {
+    const { type, source = 'admin_adjustment', description } = req.body;
+    const amount = parseFloat(req.body.amount);
+
+    if (!['credit', 'debit'].includes(type)) {
+        return next(new AppError('Type must be either credit or debit', 400));
+    }
+
+    if (isNaN(amount) || amount <= 0) {
+        return next(new AppError('Amount must be a positive number', 400));
+    }
+
+    if (!MANUAL_SOURCES[type].includes(source)) {
+        return next(new AppError(`Source for a ${type} must be one of: ${MANUAL_SOURCES[type].join(', ')}`, 400));
+    }
+
+    if (!description || !String(description).trim()) {
+        return next(new AppError('Description is required', 400));
+    }
+
+    const user = await User.findById(req.params.id).select('_id');
+
+    if (!user) {
+        return next(new AppError('User not found', 404));
+    }
+
+    const details = {
+        source,
+        description: String(description).trim(),
+        createdBy: req.user._id
+    };
+
+    let movement = null;
+    await mongoose.connection.transaction(async (session) => {
+        movement = type === 'credit'
+            ? await Wallet.credit(user._id, amount, details, session)
+            : await Wallet.debit(user._id, amount, details, session);
+    });
+
+    if (!movement) {
+        return next(new AppError('Wallet balance is too low for this debit', 400));
+    }
+
+    res.status(201).json({
+        success: true,
+        message: `Wallet ${type === 'credit' ? 'credited' : 'debited'} with ${amount}`,
+        wallet: {
+            balance: movement.wallet.balance,
+            currency: movement.wallet.currency
+        },
+        transaction: movement.transaction
+    });
+});
@@ -13,6 +13,9 @@ import productRoutes from "./routes/productRoutes.js";
 import cartRoutes from "./routes/cartRoutes.js";
 import orderRoutes from "./routes/orderRoutes.js";
 import paymentRoutes from "./routes/paymentRoutes.js";
+import guestRoutes from "./routes/guestRoutes.js";
+import shippingRoutes from "./routes/shippingRoutes.js";
+import paymentWebhookRoutes from "./routes/paymentWebhookRoutes.js";
 import {
   securityHeaders,
   xssProtection,
@@ -23,6 +26,7 @@ import {
   notFound,
   requestLogger,
 } from "./middleware/errorHandler.js";
+import { startOrderSweeper } from "./utils/orderSweeper.js";
 
 // ===============================
 // 🌍 Load Environment Variables
@@ -72,7 +76,8 @@ app.use(
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Cart-Token", "Idempotency-Key"],
+    exposedHeaders: ["X-Cart-Token", "Idempotent-Replayed"],
   })
 );
 
@@ -124,6 +129,9 @@ app.use("/api/user", userRoutes);
 app.use("/api/cart", cartRoutes);
 app.use("/api/user/orders", orderRoutes);
 app.use("/api/user/payments", paymentRoutes);
+app.use("/api/guest", guestRoutes);
+app.use("/api/shipping", shippingRoutes);
+app.use("/api/payments", paymentWebhookRoutes);
 
 app.use("/api/admin", adminRoutes);
 app.use("/api/products", productRoutes);
@@ -160,6 +168,7 @@ app.use(globalErrorHandler);
 // ===============================
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
+  startOrderSweeper();
   console.log(`✅ Server running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || "development"}`);
@@ -1,6 +1,7 @@
 // authMiddleware.js
 import jwt from 'jsonwebtoken';
 import User from '../models/user.js';
+import Cart from '../models/cart.js';
 
 export const protect = async (req, res, next) => {
   try {
@@ -83,4 +84,21 @@ export const authorize = (...roles) => {
 
     next();
   };
-};
\ No newline at end of file
+};
+
+// Identify an anonymous shopper by the X-Cart-Token header. A new token is
+// issued when the request has none; it is always echoed back in the header.
+export const guestCart = (req, res, next) => {
+  const token = req.headers['x-cart-token'] || Cart.generateGuestToken();
+
+  if (!/^[a-f0-9]{48}$/.test(token)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid cart token'
+    });
+  }
+
+  res.setHeader('X-Cart-Token', token);
+  req.guestTokenHash = Cart.hashGuestToken(token);
+  next();
+};
@@ -0,0 +1,144 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/idempotencyKey.js';
+import { AppError } from './errorHandler.js';
+
+// How long a stored response is replayed for
+const DEFAULT_RETENTION_MS = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// A key still "processing" after this long belongs to a request that died
+// mid-way (e.g. a restart) and may be taken over by a retry. Kept well above
+// the slowest payment provider call so a live handler is never overtaken.
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so the same body always hashes the same
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+};
+
+const hashRequest = (req) => crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl.split('?')[0]}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+
+// Claim the key for this request. Returns the stored record when the caller
+// should replay or reject instead of running the handler, or null once claimed.
+const claimKey = async (userId, key, requestHash, retentionMs) => {
+    try {
+        await IdempotencyKey.create({
+            user: userId,
+            key,
+            requestHash,
+            expiresAt: new Date(Date.now() + retentionMs)
+        });
+        return null;
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    const existing = await IdempotencyKey.findOne({ user: userId, key });
+    if (!existing) {
+        throw new AppError('Request with this Idempotency-Key is being retried, please try again', 409);
+    }
+
+    const abandoned = existing.status === 'processing' &&
+        existing.requestHash === requestHash &&
+        Date.now() - existing.updatedAt.getTime() > PROCESSING_TIMEOUT_MS;
+
+    if (abandoned) {
+        const takenOver = await IdempotencyKey.findOneAndUpdate(
+            { _id: existing._id, status: 'processing', updatedAt: existing.updatedAt },
+            { expiresAt: new Date(Date.now() + retentionMs) },
+            { new: true }
+        );
+        if (takenOver) return null;
+    }
+
+    return existing;
+};
+
+// Make a mutating route safe to retry. Clients send an Idempotency-Key header
+// (unique per logical operation); the first response for that user and key
+// is stored and sent back unchanged for any retry within the retention window.
+// Reusing a key for a different request is rejected with 422. Server errors
+// are not stored, so the client can retry with the same key.
+// Must run after `protect`; requests without the header pass straight through.
+export const idempotent = ({ retentionMs = DEFAULT_RETENTION_MS } = {}) => {
+    return async (req, res, next) => {
+        const key = req.get('Idempotency-Key');
+        if (key === undefined) {
+            return next();
+        }
+
+        if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+            return next(new AppError(`Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`, 400));
+        }
+
+        const requestHash = hashRequest(req);
+        let existing;
+        try {
+            existing = await claimKey(req.user._id, key, requestHash, retentionMs);
+        } catch (error) {
+            return next(error);
+        }
+
+        if (existing) {
+            if (existing.requestHash !== requestHash) {
+                return next(new AppError('Idempotency-Key has already been used for a different request', 422));
+            }
+
+            if (existing.status === 'processing') {
+                return next(new AppError('A request with this Idempotency-Key is still being processed', 409));
+            }
+
+            res.setHeader('Idempotent-Replayed', 'true');
+            return res.status(existing.responseStatus).type('json').send(existing.responseBody);
+        }
+
+        const filter = { user: req.user._id, key };
+        const release = () => IdempotencyKey.deleteOne(filter).catch(error => {
+            console.error('Failed to release idempotency key:', error.message);
+        });
+
+        // Store the response as soon as the handler (or the error handler)
+        // produces it, even if the client has already disconnected; the key
+        // is never released while the handler may still be running. Requests
+        // that die without answering are taken over after PROCESSING_TIMEOUT_MS.
+        let responded = false;
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (!responded) {
+                responded = true;
+
+                if (res.statusCode >= 500) {
+                    release();
+                } else {
+                    IdempotencyKey.updateOne(filter, {
+                        status: 'completed',
+                        responseStatus: res.statusCode,
+                        responseBody: JSON.stringify(body)
+                    }).catch(error => {
+                        console.error('Failed to store idempotent response:', error.message);
+                    });
+                }
+            }
+            return json(body);
+        };
+
+        // Finished with something other than JSON: nothing to replay
+        res.on('finish', () => {
+            if (!responded) release();
+        });
+
+        next();
+    };
+};
@@ -1,9 +1,12 @@
 // Simple rate limiting implementation
 const rateLimitStore = new Map();
+let rateLimitCount = 0;
 
-export const createRateLimit = (windowMs = 15 * 60 * 1000, max = 100) => {
+// Each limiter counts under its own name, so hitting one does not use up
+// another's allowance for the same IP
+export const createRateLimit = (windowMs = 15 * 60 * 1000, max = 100, name = `limit${++rateLimitCount}`) => {
     return (req, res, next) => {
-        const key = req.ip || req.connection.remoteAddress;
+        const key = `${name}:${req.ip || req.connection.remoteAddress}`;
         const now = Date.now();
         const windowStart = now - windowMs;
 
@@ -31,10 +34,10 @@ export const createRateLimit = (windowMs = 15 * 60 * 1000, max = 100) => {
 };
 
 // Auth rate limiting (stricter for login/register)
-export const authRateLimit = createRateLimit(15 * 60 * 1000, 5); // 5 attempts per 15 minutes
+export const authRateLimit = createRateLimit(15 * 60 * 1000, 5, 'auth'); // 5 attempts per 15 minutes
 
 // API rate limiting
-export const apiRateLimit = createRateLimit(15 * 60 * 1000, 100); // 100 requests per 15 minutes
+export const apiRateLimit = createRateLimit(15 * 60 * 1000, 100, 'api'); // 100 requests per 15 minutes
 
 // Security headers middleware
 export const securityHeaders = (req, res, next) => {
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
 
 const CartItemSchema = new mongoose.Schema({
   product: {
@@ -22,9 +23,12 @@ const CartSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'User is required'],
-    unique: true,
-    index: true
+    required: [function () { return !this.guestTokenHash; }, 'User is required']
+  },
+  // SHA-256 of the cart token held by an anonymous (guest) shopper. Always
+  // loaded, since the user requirement above depends on it; kept out of JSON.
+  guestTokenHash: {
+    type: String
   },
   items: [CartItemSchema],
   createdAt: {
@@ -37,7 +41,13 @@ const CartSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.guestTokenHash;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -54,10 +64,11 @@ CartSchema.virtual('totalPrice').get(async function () {
   }, 0);
 });
 
-// Instance method to add item to cart
+// Instance method to add item to cart. Items are compared by product._id,
+// which works whether or not the products have been populated.
 CartSchema.methods.addItem = async function (productId, quantity = 1) {
   const existingItem = this.items.find(item =>
-    item.product.toString() === productId.toString()
+    item.product._id.toString() === productId.toString()
   );
 
   if (existingItem) {
@@ -73,7 +84,7 @@ CartSchema.methods.addItem = async function (productId, quantity = 1) {
 // Instance method to remove item from cart
 CartSchema.methods.removeItem = function (productId) {
   this.items = this.items.filter(item =>
-    item.product.toString() !== productId.toString()
+    item.product._id.toString() !== productId.toString()
   );
   this.updatedAt = new Date();
   return this.save();
@@ -82,7 +93,7 @@ CartSchema.methods.removeItem = function (productId) {
 // Instance method to update item quantity
 CartSchema.methods.updateItemQuantity = function (productId, quantity) {
   const item = this.items.find(item =>
-    item.product.toString() === productId.toString()
+    item.product._id.toString() === productId.toString()
   );
 
   if (item) {
@@ -115,10 +126,67 @@ CartSchema.statics.getOrCreate = async function (userId) {
   return cart;
 };
 
+// Static method to hash a guest cart token for storage and lookup
+CartSchema.statics.hashGuestToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to generate a new guest cart token
+CartSchema.statics.generateGuestToken = function () {
+  return crypto.randomBytes(24).toString('hex');
+};
+
+// Static method to get or create the cart for a guest token hash
+CartSchema.statics.getOrCreateGuest = async function (guestTokenHash) {
+  let cart = await this.findOne({ guestTokenHash }).populate('items.product');
+
+  if (!cart) {
+    cart = new this({ guestTokenHash, items: [] });
+    await cart.save();
+  }
+
+  return cart;
+};
+
 // Pre-save middleware to update timestamps
 CartSchema.pre('save', function (next) {
   this.updatedAt = new Date();
   next();
 });
 
-export default mongoose.model('Cart', CartSchema);
\ No newline at end of file
+// One cart per registered user; guest carts have no user
+CartSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { user: { $exists: true } }, name: 'user_registered_unique' }
+);
+CartSchema.index(
+  { guestTokenHash: 1 },
+  { unique: true, partialFilterExpression: { guestTokenHash: { $exists: true } } }
+);
+
+// Abandoned guest carts are removed after 30 days without changes
+CartSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { guestTokenHash: { $exists: true } } }
+);
+
+const Cart = mongoose.model('Cart', CartSchema);
+
+// ✅ Safe index cleanup (runs once): the old unique user index rejects guest carts
+(async () => {
+  try {
+    const indexes = await Cart.collection.getIndexes({ full: true });
+    const hasOldUserIndex = indexes.some(idx => idx.name === 'user_1' && idx.unique);
+    if (hasOldUserIndex) {
+      await Cart.collection.dropIndex('user_1');
+      await Cart.createIndexes();
+      console.log('🧹 Replaced old cart user index to allow guest carts');
+    }
+  } catch (err) {
+    if (!err.message.includes('ns not found') && !err.message.includes('ns does not exist')) {
+      console.error('⚠️ Error checking/dropping cart user index:', err.message);
+    }
+  }
+})();
+
+export default Cart;
\ No newline at end of file
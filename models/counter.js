@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+import sequenceFormats from "../config/sequences.js";
+
+// One document per named sequence (and per date part for dated sequences)
+const CounterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Build the date part of a sequence number (UTC, matching toISOString)
+const formatDatePart = (date, dateFormat) => {
+  if (!dateFormat) return "";
+
+  const year = date.getUTCFullYear().toString();
+  const month = (date.getUTCMonth() + 1).toString().padStart(2, "0");
+  const day = date.getUTCDate().toString().padStart(2, "0");
+
+  switch (dateFormat) {
+    case "YYYYMMDD":
+      return `${year}${month}${day}`;
+    case "YYMMDD":
+      return `${year.slice(2)}${month}${day}`;
+    case "YYYYMM":
+      return `${year}${month}`;
+    case "YYYY":
+      return year;
+    default:
+      throw new Error(`Unsupported sequence date format: ${dateFormat}`);
+  }
+};
+
+// Static method to atomically increment a counter and return the new value
+CounterSchema.statics.increment = async function (key, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+// Static method to issue the next formatted number for a named sequence
+// (see config/sequences.js), e.g. Counter.nextNumber("order") -> "202501150007"
+CounterSchema.statics.nextNumber = async function (name, session = null) {
+  const format = sequenceFormats[name];
+  if (!format) {
+    throw new Error(`Unknown sequence: ${name}`);
+  }
+
+  const datePart = formatDatePart(new Date(), format.dateFormat);
+  const key = datePart ? `${name}:${datePart}` : name;
+  const seq = await this.increment(key, session);
+
+  return `${format.prefix}${datePart}${seq.toString().padStart(format.padding, "0")}`;
+};
+
+export default mongoose.model("Counter", CounterSchema);
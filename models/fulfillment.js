@@ -0,0 +1,149 @@
+import mongoose from "mongoose";
+import Counter from "./counter.js";
+
+// Allowed fulfillment status transitions; delivered and cancelled are terminal
+const FULFILLMENT_TRANSITIONS = {
+  pending: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: [],
+  cancelled: [],
+};
+
+const FulfillmentItemSchema = new mongoose.Schema({
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, "Order item is required"],
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: [true, "Product is required"],
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Quantity is required"],
+    min: [1, "Quantity must be at least 1"],
+  },
+});
+
+const FulfillmentSchema = new mongoose.Schema(
+  {
+    fulfillmentNumber: {
+      type: String,
+      unique: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: [true, "Order is required"],
+      index: true,
+    },
+    items: {
+      type: [FulfillmentItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "A fulfillment must contain at least one item",
+      },
+    },
+    status: {
+      type: String,
+      enum: Object.keys(FULFILLMENT_TRANSITIONS),
+      default: "pending",
+    },
+    carrier: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    trackingNumber: {
+      type: String,
+      trim: true,
+    },
+    // Carrier tracking record, when the parcel is tracked through a webhook
+    shipment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shipment",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    shippedAt: {
+      type: Date,
+    },
+    deliveredAt: {
+      type: Date,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Instance method to check whether the fulfillment may move to a given status
+FulfillmentSchema.methods.canTransitionTo = function (newStatus) {
+  return (FULFILLMENT_TRANSITIONS[this.status] || []).includes(newStatus);
+};
+
+// Instance method to change status without saving; returns false if not allowed
+FulfillmentSchema.methods.transitionStatus = function (newStatus, at = new Date()) {
+  if (!this.canTransitionTo(newStatus)) return false;
+
+  this.status = newStatus;
+  if (newStatus === "shipped") this.shippedAt = at;
+  if (newStatus === "delivered") this.deliveredAt = at;
+  if (newStatus === "cancelled") this.cancelledAt = at;
+
+  return true;
+};
+
+// Static method to total the quantity of each order item already in a
+// (non-cancelled) fulfillment, keyed by order item id
+FulfillmentSchema.statics.getFulfilledQuantities = async function (
+  orderId,
+  session = null
+) {
+  const fulfillments = await this.find({
+    order: orderId,
+    status: { $ne: "cancelled" },
+  })
+    .select("items.orderItem items.quantity")
+    .session(session);
+
+  const quantities = new Map();
+  fulfillments.forEach((fulfillment) => {
+    fulfillment.items.forEach((item) => {
+      const key = item.orderItem.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    });
+  });
+
+  return quantities;
+};
+
+FulfillmentSchema.statics.getAllowedTransitions = function (status) {
+  return FULFILLMENT_TRANSITIONS[status] || [];
+};
+
+FulfillmentSchema.pre("save", async function (next) {
+  try {
+    if (this.isNew && !this.fulfillmentNumber) {
+      this.fulfillmentNumber = await Counter.nextNumber(
+        "fulfillment",
+        this.$session()
+      );
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default mongoose.model("Fulfillment", FulfillmentSchema);
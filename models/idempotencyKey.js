@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// First response to a request sent with an Idempotency-Key header, kept so
+// that retries with the same key get the same answer instead of running twice.
+// Documents are removed by MongoDB once expiresAt passes.
+const IdempotencyKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    key: {
+      type: String,
+      required: [true, "Key is required"],
+    },
+    // Hash of method, path and body; a retry must match it exactly
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    responseStatus: {
+      type: Number,
+    },
+    // Stored as serialised JSON so any response body round-trips unchanged
+    responseBody: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+IdempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("IdempotencyKey", IdempotencyKeySchema);
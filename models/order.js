@@ -1,4 +1,60 @@
 import mongoose from "mongoose";
+import Counter from "./counter.js";
+import { AppError } from "../middleware/errorHandler.js";
+import { estimateDelivery } from "../utils/deliveryEstimate.js";
+import { sendOrderStatusEmail } from "../utils/emailService.js";
+
+const STATUS_LABELS = {
+  pending: "Pending Confirmation",
+  confirmed: "Confirmed",
+  processing: "Processing",
+  partially_shipped: "Partially Shipped",
+  shipped: "Shipped",
+  delivered: "Delivered",
+  cancelled: "Cancelled",
+  refunded: "Refunded",
+};
+
+// Customer email sent when the order reaches a status
+const STATUS_EMAILS = {
+  confirmed: "confirmed",
+  partially_shipped: "shipped",
+  shipped: "shipped",
+  delivered: "delivered",
+  cancelled: "cancelled",
+  refunded: "refunded",
+};
+
+// Days after delivery during which items can be returned
+const RETURN_WINDOW_DAYS = 7;
+
+// Order status a carrier event moves the order towards, and the path
+// fulfillment walks along to get there
+const TRACKING_EVENT_TARGETS = {
+  picked_up: "shipped",
+  in_transit: "shipped",
+  out_for_delivery: "shipped",
+  delivered: "delivered",
+};
+const FULFILLMENT_PATH = [
+  "confirmed",
+  "processing",
+  "partially_shipped",
+  "shipped",
+  "delivered",
+];
+
+// Allowed order status transitions; cancelled and refunded are terminal
+const STATUS_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["processing", "cancelled", "refunded"],
+  processing: ["partially_shipped", "shipped", "cancelled", "refunded"],
+  partially_shipped: ["shipped", "refunded"],
+  shipped: ["delivered", "refunded"],
+  delivered: ["refunded"],
+  cancelled: [],
+  refunded: [],
+};
 
 const OrderItemSchema = new mongoose.Schema({
   product: {
@@ -6,6 +62,11 @@ const OrderItemSchema = new mongoose.Schema({
     ref: "Product",
     required: [true, "Product is required"],
   },
+  // Product name at the time of purchase, so invoices do not change on rename
+  name: {
+    type: String,
+    trim: true,
+  },
   quantity: {
     type: Number,
     required: [true, "Quantity is required"],
@@ -23,6 +84,161 @@ const OrderItemSchema = new mongoose.Schema({
   },
 });
 
+const CancelledItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, "Quantity must be at least 1"],
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: [0, "Price cannot be negative"],
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    cancelledAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const ModificationSchema = new mongoose.Schema(
+  {
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed },
+        to: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+  },
+  { _id: false }
+);
+
+const StatusHistorySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      required: true,
+    },
+    from: {
+      type: String,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    actorRole: {
+      type: String,
+      enum: ["customer", "admin", "system"],
+      default: "system",
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Carrier scan copied onto the order so it shows up in the timeline
+const TrackingEventSchema = new mongoose.Schema(
+  {
+    carrier: {
+      type: String,
+    },
+    trackingNumber: {
+      type: String,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    location: {
+      type: String,
+      trim: true,
+    },
+    occurredAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Phone OTP confirmation of a cash-on-delivery order
+const CodVerificationSchema = new mongoose.Schema(
+  {
+    otpHash: {
+      type: String,
+      select: false,
+    },
+    otpExpiresAt: {
+      type: Date,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    sentCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSentAt: {
+      type: Date,
+    },
+    // The order is cancelled if not confirmed by then
+    confirmBy: {
+      type: Date,
+    },
+    verifiedAt: {
+      type: Date,
+    },
+  },
+  {
+    _id: false,
+    // Never send the code hash to a client, even right after it was set
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.otpHash;
+        return ret;
+      },
+    },
+  }
+);
+
 const ShippingAddressSchema = new mongoose.Schema({
   firstName: {
     type: String,
@@ -73,6 +289,41 @@ const ShippingAddressSchema = new mongoose.Schema({
   },
 });
 
+// The order as it stood when its invoice was issued; reprints render this,
+// so later edits to the order never change an issued invoice
+const InvoiceSnapshotSchema = new mongoose.Schema(
+  {
+    items: [
+      {
+        _id: false,
+        name: String,
+        quantity: Number,
+        price: Number,
+        total: Number,
+      },
+    ],
+    shippingAddress: {
+      type: ShippingAddressSchema,
+    },
+    paymentMethod: {
+      type: String,
+    },
+    subtotal: {
+      type: Number,
+    },
+    shippingCost: {
+      type: Number,
+    },
+    tax: {
+      type: Number,
+    },
+    total: {
+      type: Number,
+    },
+  },
+  { _id: false }
+);
+
 const OrderSchema = new mongoose.Schema(
   {
     orderNumber: {
@@ -84,9 +335,20 @@ const OrderSchema = new mongoose.Schema(
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: [true, "User is required"],
+      required: [
+        function () {
+          return !this.guest;
+        },
+        "User is required",
+      ],
       index: true,
     },
+    // Placed without an account; shippingAddress.email is the contact.
+    // Stays true after the order is attached to a newly registered account.
+    guest: {
+      type: Boolean,
+      default: false,
+    },
     items: {
       type: [OrderItemSchema],
       validate: {
@@ -106,6 +368,7 @@ const OrderSchema = new mongoose.Schema(
         "pending",
         "confirmed",
         "processing",
+        "partially_shipped",
         "shipped",
         "delivered",
         "cancelled",
@@ -116,7 +379,9 @@ const OrderSchema = new mongoose.Schema(
     },
     paymentStatus: {
       type: String,
-      enum: ["pending", "paid", "failed", "refunded"],
+      // capturing: a card authorization is claimed and being captured or voided
+      // refund_pending: a refund was accepted but has not been paid out yet
+      enum: ["pending", "capturing", "paid", "failed", "refund_pending", "refunded"],
       default: "pending",
       index: true,
     },
@@ -125,6 +390,11 @@ const OrderSchema = new mongoose.Schema(
       enum: ["cash_on_delivery", "credit_card", "bank_transfer", "wallet"],
       default: "cash_on_delivery",
     },
+    // Gateway reference of the current payment (charge, intent or transfer)
+    paymentTransactionId: {
+      type: String,
+      trim: true,
+    },
     subtotal: {
       type: Number,
       required: [true, "Subtotal is required"],
@@ -150,6 +420,17 @@ const OrderSchema = new mongoose.Schema(
       trim: true,
       maxlength: [500, "Notes cannot exceed 500 characters"],
     },
+    invoiceNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    invoicedAt: {
+      type: Date,
+    },
+    invoiceSnapshot: {
+      type: InvoiceSnapshotSchema,
+    },
     trackingNumber: {
       type: String,
       trim: true,
@@ -167,10 +448,45 @@ const OrderSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    cancelledItems: {
+      type: [CancelledItemSchema],
+      default: [],
+    },
+    modifications: {
+      type: [ModificationSchema],
+      default: [],
+    },
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Refunded amount cannot be negative"],
+    },
+    statusHistory: {
+      type: [StatusHistorySchema],
+      default: [],
+    },
+    trackingEvents: {
+      type: [TrackingEventSchema],
+      default: [],
+    },
+    codVerification: {
+      type: CodVerificationSchema,
+    },
+    // Lifecycle emails waiting to be sent (see deliverQueuedEmails)
+    emailQueue: {
+      type: [String],
+      default: [],
+    },
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.emailQueue;
+        return ret;
+      },
+    },
     toObject: { virtuals: true },
   }
 );
@@ -190,24 +506,17 @@ OrderSchema.virtual("shippingAddress.fullName").get(function () {
 
 // Virtual for order status display
 OrderSchema.virtual("statusDisplay").get(function () {
-  const statusMap = {
-    pending: "Pending Confirmation",
-    confirmed: "Confirmed",
-    processing: "Processing",
-    shipped: "Shipped",
-    delivered: "Delivered",
-    cancelled: "Cancelled",
-    refunded: "Refunded",
-  };
-  return statusMap[this.status] || this.status;
+  return STATUS_LABELS[this.status] || this.status;
 });
 
 // Virtual for payment status display
 OrderSchema.virtual("paymentStatusDisplay").get(function () {
   const statusMap = {
     pending: "Payment Pending",
+    capturing: "Payment Processing",
     paid: "Paid",
     failed: "Payment Failed",
+    refund_pending: "Refund Pending",
     refunded: "Refunded",
   };
   return statusMap[this.paymentStatus] || this.paymentStatus;
@@ -224,8 +533,30 @@ OrderSchema.virtual("orderAge").get(function () {
   return 0;
 });
 
-// Instance method to update status
-OrderSchema.methods.updateStatus = function (newStatus, notes = "") {
+// Instance method to check whether the order may move to a given status
+OrderSchema.methods.canTransitionTo = function (newStatus) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(newStatus);
+};
+
+// Instance method to apply a status transition without saving.
+// actor is { user, role } describing who made the change.
+OrderSchema.methods.transitionStatus = function (newStatus, notes = "", actor = {}) {
+  if (!STATUS_TRANSITIONS[newStatus]) {
+    throw new AppError(`Invalid order status: ${newStatus}`, 400);
+  }
+
+  if (!this.canTransitionTo(newStatus)) {
+    const allowed = STATUS_TRANSITIONS[this.status] || [];
+    throw new AppError(
+      `Cannot change order status from ${this.status} to ${newStatus}. ` +
+        (allowed.length
+          ? `Allowed next statuses: ${allowed.join(", ")}`
+          : `${STATUS_LABELS[this.status]} is a final status`),
+      400
+    );
+  }
+
+  const previousStatus = this.status;
   this.status = newStatus;
   this.updatedAt = new Date();
 
@@ -241,13 +572,147 @@ OrderSchema.methods.updateStatus = function (newStatus, notes = "") {
     }
   }
 
-  if (notes && newStatus !== "cancelled") {
-    this.notes = this.notes ? `${this.notes}\n${notes}` : notes;
+  this.statusHistory.push({
+    status: newStatus,
+    from: previousStatus,
+    note: notes || undefined,
+    changedBy: actor.user,
+    actorRole: actor.role || "system",
+    changedAt: new Date(),
+  });
+
+  if (STATUS_EMAILS[newStatus]) {
+    this.emailQueue.push(STATUS_EMAILS[newStatus]);
+  }
+
+  return this;
+};
+
+// Instance method to update status
+OrderSchema.methods.updateStatus = function (newStatus, notes = "", actor = {}) {
+  try {
+    this.transitionStatus(newStatus, notes, actor);
+  } catch (error) {
+    return Promise.reject(error);
   }
 
   return this.save();
 };
 
+// Instance method to serialise the order for its customer or a guest. Who
+// changed each status, and any note left with the change, stays with staff.
+OrderSchema.methods.toCustomerJSON = function () {
+  const order = this.toJSON();
+  order.statusHistory = (order.statusHistory || []).map(
+    ({ note, changedBy, ...entry }) => entry
+  );
+  return order;
+};
+
+// Instance method to build the customer-facing tracking timeline,
+// merging status changes with carrier scans in chronological order
+OrderSchema.methods.getTimeline = function () {
+  // Orders placed before status history existed only know their creation
+  const history = this.statusHistory.length
+    ? this.statusHistory
+    : [{ status: "pending", actorRole: "customer", changedAt: this.createdAt }];
+
+  const statusEntries = history.map((entry) => ({
+    kind: "status",
+    status: entry.status,
+    label: STATUS_LABELS[entry.status] || entry.status,
+    actorRole: entry.actorRole,
+    at: entry.changedAt,
+  }));
+
+  const trackingEntries = (this.trackingEvents || []).map((event) => ({
+    kind: "tracking",
+    event: event.type,
+    label: event.description,
+    location: event.location,
+    carrier: event.carrier,
+    trackingNumber: event.trackingNumber,
+    at: event.occurredAt,
+  }));
+
+  // Scans go first so a scan precedes the status change it caused
+  return [...trackingEntries, ...statusEntries].sort(
+    (a, b) => new Date(a.at) - new Date(b.at)
+  );
+};
+
+// Instance method to move the order forward along the fulfillment path to
+// `target` without saving. Skips steps the state machine allows skipping and
+// never moves backwards; orders outside fulfillment are left alone.
+OrderSchema.methods.advanceFulfillment = function (target, note = "", at = new Date()) {
+  const targetIndex = FULFILLMENT_PATH.indexOf(target);
+
+  while (
+    FULFILLMENT_PATH.includes(this.status) &&
+    FULFILLMENT_PATH.indexOf(this.status) < targetIndex
+  ) {
+    // Furthest status up to the target reachable in one step
+    const next = FULFILLMENT_PATH.slice(0, targetIndex + 1)
+      .reverse()
+      .find((status) => this.canTransitionTo(status));
+    if (!next) break;
+
+    this.transitionStatus(next, "", { role: "system" });
+    const entry = this.statusHistory[this.statusHistory.length - 1];
+    entry.note = note || undefined;
+    entry.changedAt = at;
+
+    if (next === "delivered") {
+      this.deliveredAt = at;
+    }
+  }
+
+  return this;
+};
+
+// Instance method to work out the order status implied by its fulfillments:
+// partially_shipped until every unit has left, then shipped, then delivered.
+// Returns null while nothing has shipped.
+OrderSchema.methods.getFulfillmentStatus = function (fulfillments) {
+  const shipped = new Map();
+  const delivered = new Map();
+  const add = (map, key, quantity) => map.set(key, (map.get(key) || 0) + quantity);
+
+  fulfillments.forEach((fulfillment) => {
+    if (!["shipped", "delivered"].includes(fulfillment.status)) return;
+    fulfillment.items.forEach((item) => {
+      const key = item.orderItem.toString();
+      add(shipped, key, item.quantity);
+      if (fulfillment.status === "delivered") add(delivered, key, item.quantity);
+    });
+  });
+
+  if (shipped.size === 0) return null;
+
+  const allCovered = (map) =>
+    this.items.every((item) => (map.get(item._id.toString()) || 0) >= item.quantity);
+
+  if (allCovered(delivered)) return "delivered";
+  if (allCovered(shipped)) return "shipped";
+  return "partially_shipped";
+};
+
+// Instance method to record a carrier event without saving. Pickup and
+// transit scans move the order forward to shipped, a delivery scan to
+// delivered. Parcels that belong to a fulfillment leave the status to
+// the fulfillments (advanceStatus: false).
+OrderSchema.methods.applyTrackingEvent = function (event, { advanceStatus = true } = {}) {
+  this.trackingEvents.push(event);
+
+  const target = TRACKING_EVENT_TARGETS[event.type];
+  if (advanceStatus && target) {
+    const note = [event.description, event.location].filter(Boolean).join(" - ");
+    this.advanceFulfillment(target, note, event.occurredAt);
+  }
+
+  return this;
+};
+
 // Instance method to update payment status
 OrderSchema.methods.updatePaymentStatus = function (newStatus) {
   this.paymentStatus = newStatus;
@@ -260,27 +725,136 @@ OrderSchema.methods.canBeCancelled = function () {
   return ["pending", "confirmed"].includes(this.status);
 };
 
+// Instance method to check if delivered items can still be returned
+OrderSchema.methods.isWithinReturnWindow = function () {
+  if (this.status !== "delivered") return false;
+  const deliveryDate = this.deliveredAt || this.createdAt;
+  const deadline = new Date(
+    deliveryDate.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000
+  );
+  return new Date() <= deadline;
+};
+
 // Instance method to check if order can be modified
 OrderSchema.methods.canBeModified = function () {
   return ["pending"].includes(this.status);
 };
 
-// Static method to generate order number
-OrderSchema.statics.generateOrderNumber = async function () {
-  const today = new Date();
-  const dateStr = today.toISOString().slice(0, 10).replace(/-/g, "");
+// Instance method to assign a sequential invoice number on first issue and
+// snapshot what is invoiced. Reprints reuse the stored number, date and
+// snapshot. The counter and the order are updated in one transaction so
+// losing a race skips no number.
+OrderSchema.methods.issueInvoice = async function () {
+  if (this.invoiceNumber) return this;
+
+  let alreadyIssued = false;
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      alreadyIssued = false;
+      const update = {
+        invoiceNumber: await Counter.nextNumber("invoice", session),
+        invoicedAt: new Date(),
+        invoiceSnapshot: {
+          // Orders placed before items stored names fall back to the product
+          items: this.items.map((item) => ({
+            name: item.name || item.product?.name,
+            quantity: item.quantity,
+            price: item.price,
+            total: item.total,
+          })),
+          shippingAddress: this.shippingAddress.toObject(),
+          paymentMethod: this.paymentMethod,
+          subtotal: this.subtotal,
+          shippingCost: this.shippingCost,
+          tax: this.tax,
+          total: this.total,
+        },
+      };
+
+      const result = await this.constructor.updateOne(
+        { _id: this._id, invoiceNumber: { $exists: false } },
+        { $set: update },
+        { session }
+      );
+
+      if (result.modifiedCount === 0) {
+        alreadyIssued = true;
+        throw new Error("Invoice already issued");
+      }
+    });
+  } catch (error) {
+    if (!alreadyIssued) throw error;
+  }
+
+  const issued = await this.constructor
+    .findById(this._id)
+    .select("invoiceNumber invoicedAt invoiceSnapshot");
+  this.invoiceNumber = issued.invoiceNumber;
+  this.invoicedAt = issued.invoicedAt;
+  this.invoiceSnapshot = issued.invoiceSnapshot;
+
+  return this;
+};
+
+// Static method to attach guest orders to the account registered with their email
+OrderSchema.statics.attachGuestOrders = async function (userId, email) {
+  const result = await this.updateMany(
+    {
+      guest: true,
+      user: { $exists: false },
+      "shippingAddress.email": email.toLowerCase().trim(),
+    },
+    { $set: { user: userId } }
+  );
+  return result.modifiedCount;
+};
 
-  const lastOrder = await this.findOne({
-    orderNumber: new RegExp(`^${dateStr}`),
-  }).sort({ orderNumber: -1 });
+// Static method to send the queued lifecycle emails of an order. The queue
+// is emptied atomically first, so each email goes out at most once even when
+// several processes deliver at the same time.
+OrderSchema.statics.deliverQueuedEmails = async function (orderId) {
+  const order = await this.findOneAndUpdate(
+    { _id: orderId, "emailQueue.0": { $exists: true } },
+    { $set: { emailQueue: [] } },
+    { timestamps: false }
+  ).populate("user", "email preferences");
 
-  let sequence = 1;
-  if (lastOrder) {
-    const lastSequence = parseInt(lastOrder.orderNumber.slice(-4));
-    sequence = lastSequence + 1;
+  if (!order) return 0;
+
+  // Registered customers can switch order emails off; guests always get them
+  if (order.user?.preferences?.notifications?.email === false) return 0;
+
+  const email = order.shippingAddress?.email || order.user?.email;
+  if (!email) return 0;
+
+  for (const event of order.emailQueue) {
+    await sendOrderStatusEmail(email, order, event);
   }
 
-  return `${dateStr}${sequence.toString().padStart(4, "0")}`;
+  return order.emailQueue.length;
+};
+
+// Static method to send emails left queued, e.g. after a restart
+OrderSchema.statics.deliverPendingEmails = async function (batchSize = 100) {
+  const orders = await this.find({ "emailQueue.0": { $exists: true } })
+    .select("_id")
+    .limit(batchSize);
+
+  let sent = 0;
+  for (const { _id } of orders) {
+    sent += await this.deliverQueuedEmails(_id);
+  }
+  return sent;
+};
+
+// Static method to list the statuses an order may move to next
+OrderSchema.statics.getAllowedTransitions = function (status) {
+  return STATUS_TRANSITIONS[status] || [];
+};
+
+// Static method to generate order number from the atomic per-day counter
+OrderSchema.statics.generateOrderNumber = function (session = null) {
+  return Counter.nextNumber("order", session);
 };
 
 // Static method to get orders by status
@@ -333,16 +907,37 @@ OrderSchema.statics.getUserStats = async function (userId) {
 // Pre-save middleware to generate order number
 OrderSchema.pre("save", async function (next) {
   try {
-    // Generate order number only for new documents
-    if (this.isNew && !this.orderNumber) {
-      this.orderNumber = await this.constructor.generateOrderNumber();
+    // Generate order number only for new documents. A number generated here
+    // before belongs to a failed save or a retried transaction whose counter
+    // increment may have rolled back, so it is drawn again.
+    if (this.isNew && (!this.orderNumber || this.$locals.generatedOrderNumber)) {
+      this.orderNumber = await this.constructor.generateOrderNumber(
+        this.$session()
+      );
+      this.$locals.generatedOrderNumber = true;
+    }
+
+    // A retried save must not queue the email twice
+    if (this.isNew && !this.emailQueue.includes("placed")) {
+      this.emailQueue.push("placed");
+    }
+
+    // Record the initial status as the first timeline entry
+    if (this.isNew && this.statusHistory.length === 0) {
+      this.statusHistory.push({
+        status: this.status,
+        changedBy: this.user,
+        actorRole: "customer",
+        changedAt: new Date(),
+      });
     }
 
-    // Set estimated delivery date if not set (2-3 working days)
+    // Estimate delivery in working days for the destination, if not set
     if (this.isNew && !this.estimatedDelivery) {
-      const deliveryDate = new Date();
-      deliveryDate.setDate(deliveryDate.getDate() + 3); // 3 working days
-      this.estimatedDelivery = deliveryDate;
+      this.estimatedDelivery = estimateDelivery(
+        this.shippingAddress,
+        this.createdAt || new Date()
+      ).estimatedDelivery;
     }
 
     this.updatedAt = new Date();
@@ -365,6 +960,26 @@ OrderSchema.pre("save", function (next) {
   }
 });
 
+// Send queued lifecycle emails once the change is stored. Inside a
+// transaction that is only known when the session ends; delivery reads the
+// queue back from the database, so an aborted change sends nothing.
+OrderSchema.post("save", function (doc) {
+  if (doc.emailQueue.length === 0) return;
+
+  const deliver = () => {
+    doc.constructor.deliverQueuedEmails(doc._id).catch((error) => {
+      console.error(`Failed to send emails for order ${doc.orderNumber}:`, error.message);
+    });
+  };
+
+  const session = doc.$session();
+  if (session && session.inTransaction()) {
+    session.once("ended", deliver);
+  } else {
+    deliver();
+  }
+});
+
 // Indexes for common queries
 OrderSchema.index({ user: 1, createdAt: -1 });
 OrderSchema.index({ status: 1, createdAt: -1 });
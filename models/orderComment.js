@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// Staff-only remarks on an order; never shown to the customer
+const OrderCommentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: [true, "Order is required"],
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Author is required"],
+    },
+    text: {
+      type: String,
+      required: [true, "Comment text is required"],
+      trim: true,
+      maxlength: [2000, "Comment cannot exceed 2000 characters"],
+    },
+    // Another admin the comment is addressed to
+    mention: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+OrderCommentSchema.index({ order: 1, createdAt: 1 });
+
+export default mongoose.model("OrderComment", OrderCommentSchema);
@@ -0,0 +1,117 @@
+import mongoose from "mongoose";
+
+// One row per call to a payment gateway: payment attempts, captures and
+// refunds, successful or not. Rows are never updated, only added.
+const PaymentTransactionSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: [true, "Order is required"],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    type: {
+      type: String,
+      enum: ["payment", "capture", "void", "refund"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["succeeded", "authorized", "pending", "failed"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0, "Amount cannot be negative"],
+    },
+    currency: {
+      type: String,
+      default: "PKR",
+    },
+    // Order paymentMethod and the gateway adapter that handled it
+    method: {
+      type: String,
+      required: true,
+    },
+    gateway: {
+      type: String,
+      required: true,
+    },
+    reference: {
+      type: String,
+      trim: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    rawResponse: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Static method to work out an order's payment position from its ledger.
+// Returns null when the order has no gateway transactions yet.
+PaymentTransactionSchema.statics.summarize = async function (orderId) {
+  const transactions = await this.find({ order: orderId })
+    .select("-rawResponse")
+    .sort({ createdAt: 1 });
+
+  if (transactions.length === 0) return null;
+
+  const sum = (filter) =>
+    transactions.filter(filter).reduce((total, tx) => total + tx.amount, 0);
+
+  const paidAmount = sum(
+    (tx) => ["payment", "capture"].includes(tx.type) && tx.status === "succeeded"
+  );
+  // Pending refunds have not been paid out; they are completed by a later
+  // succeeded row, so counting both would refund the order twice
+  const refundedAmount = sum(
+    (tx) => tx.type === "refund" && tx.status === "succeeded"
+  );
+  const lastRefund = [...transactions]
+    .reverse()
+    .find((tx) => tx.type === "refund" && tx.status !== "failed");
+  const lastPayment = [...transactions]
+    .reverse()
+    .find((tx) => tx.type !== "refund");
+  const settled = [...transactions]
+    .reverse()
+    .find((tx) => ["payment", "capture"].includes(tx.type) && tx.status === "succeeded");
+
+  let status = lastPayment ? lastPayment.status : "pending";
+  if (paidAmount > 0) status = "paid";
+  if (paidAmount > 0 && refundedAmount >= paidAmount) status = "refunded";
+  else if (paidAmount > 0 && lastRefund?.status === "pending") status = "refund_pending";
+  if (status === "succeeded" || status === "authorized") status = "pending";
+
+  return {
+    status,
+    paidAmount,
+    refundedAmount,
+    transactionId: settled?.reference || lastPayment?.reference,
+    transactions,
+  };
+};
+
+PaymentTransactionSchema.index({ order: 1, createdAt: 1 });
+PaymentTransactionSchema.index({ gateway: 1, reference: 1 });
+
+export default mongoose.model("PaymentTransaction", PaymentTransactionSchema);
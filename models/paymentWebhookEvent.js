@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+// A verified webhook delivery from a payment provider. Stored before it is
+// acted on, so retried deliveries of the same event id are recognised and
+// events that failed to apply can be picked up again by the sweeper.
+const PaymentWebhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: [true, "Provider is required"],
+    },
+    eventId: {
+      type: String,
+      required: [true, "Event id is required"],
+    },
+    type: {
+      type: String,
+    },
+    reference: {
+      type: String,
+    },
+    // Normalised by the gateway adapter: succeeded, authorized, pending,
+    // failed or refunded
+    paymentStatus: {
+      type: String,
+    },
+    amount: {
+      type: Number,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    status: {
+      type: String,
+      enum: ["received", "processed", "ignored", "failed"],
+      default: "received",
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    // Why an ignored event changed nothing
+    note: {
+      type: String,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+    },
+    processedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PaymentWebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+PaymentWebhookEventSchema.index({ status: 1, createdAt: 1 });
+
+export default mongoose.model("PaymentWebhookEvent", PaymentWebhookEventSchema);
@@ -0,0 +1,175 @@
+import mongoose from "mongoose";
+import Counter from "./counter.js";
+
+const ReturnItemSchema = new mongoose.Schema({
+  // _id of the line in Order.items this return refers to
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, "Order item is required"],
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: [true, "Product is required"],
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Quantity is required"],
+    min: [1, "Quantity must be at least 1"],
+  },
+  price: {
+    type: Number,
+    required: [true, "Price is required"],
+    min: [0, "Price cannot be negative"],
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, "Received quantity cannot be negative"],
+  },
+  disposition: {
+    type: String,
+    enum: ["restock", "write_off"],
+  },
+});
+
+const ReturnSchema = new mongoose.Schema(
+  {
+    returnNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: [true, "Order is required"],
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+    items: {
+      type: [ReturnItemSchema],
+      validate: {
+        validator: function (items) {
+          return items && items.length > 0;
+        },
+        message: "Return must contain at least one item",
+      },
+    },
+    reason: {
+      type: String,
+      required: [true, "Return reason is required"],
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    status: {
+      type: String,
+      // "refunding" while a payment provider refund is in flight
+      enum: ["requested", "approved", "rejected", "received", "refunding", "refunded"],
+      default: "requested",
+      index: true,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+    },
+    adminNotes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Admin notes cannot exceed 1000 characters"],
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    receivedAt: {
+      type: Date,
+    },
+    refundAmount: {
+      type: Number,
+      min: [0, "Refund amount cannot be negative"],
+    },
+    refundedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for the value of the requested items
+ReturnSchema.virtual("itemsValue").get(function () {
+  return this.items.reduce((total, item) => total + item.price * item.quantity, 0);
+});
+
+// Virtual for the value of the items actually received back
+ReturnSchema.virtual("receivedValue").get(function () {
+  return this.items.reduce(
+    (total, item) => total + item.price * item.receivedQuantity,
+    0
+  );
+});
+
+// Statuses in which the returned goods are back in the warehouse
+const RECEIVED_STATUSES = ["received", "refunding", "refunded"];
+
+// Static method to count quantities already under return per order line,
+// ignoring rejected requests (and open ones when receivedOnly is set)
+ReturnSchema.statics.getReturnedQuantities = async function (
+  orderId,
+  { receivedOnly = false, session = null } = {}
+) {
+  const returns = await this.find({
+    order: orderId,
+    status: receivedOnly
+      ? { $in: RECEIVED_STATUSES }
+      : { $ne: "rejected" },
+  })
+    .select("items.orderItem items.quantity status items.receivedQuantity")
+    .session(session);
+
+  const quantities = new Map();
+  returns.forEach((ret) => {
+    ret.items.forEach((item) => {
+      // Once received, only what actually came back counts
+      const quantity = RECEIVED_STATUSES.includes(ret.status)
+        ? item.receivedQuantity
+        : item.quantity;
+      const key = item.orderItem.toString();
+      quantities.set(key, (quantities.get(key) || 0) + quantity);
+    });
+  });
+
+  return quantities;
+};
+
+// Pre-save middleware to generate return number
+ReturnSchema.pre("save", async function (next) {
+  try {
+    if (this.isNew && !this.returnNumber) {
+      this.returnNumber = await Counter.nextNumber("return", this.$session());
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+ReturnSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model("Return", ReturnSchema);
@@ -0,0 +1,113 @@
+import mongoose from "mongoose";
+
+const TrackingEventSchema = new mongoose.Schema(
+  {
+    // Carrier's own event id, used to ignore redelivered webhooks
+    eventId: {
+      type: String,
+      required: [true, "Event id is required"],
+    },
+    type: {
+      type: String,
+      required: [true, "Event type is required"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    location: {
+      type: String,
+      trim: true,
+    },
+    occurredAt: {
+      type: Date,
+      required: true,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    raw: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { _id: false }
+);
+
+const ShipmentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: [true, "Order is required"],
+      index: true,
+    },
+    // Set when the parcel carries only part of the order
+    fulfillment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Fulfillment",
+    },
+    carrier: {
+      type: String,
+      required: [true, "Carrier is required"],
+      trim: true,
+      lowercase: true,
+    },
+    trackingNumber: {
+      type: String,
+      required: [true, "Tracking number is required"],
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: [
+        "label_created",
+        "picked_up",
+        "in_transit",
+        "out_for_delivery",
+        "delivered",
+        "failed_attempt",
+      ],
+      default: "label_created",
+    },
+    events: {
+      type: [TrackingEventSchema],
+      default: [],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    deliveredAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static method to append a carrier event once; returns null for a duplicate
+ShipmentSchema.statics.recordEvent = async function (shipmentId, event, session = null) {
+  const shipment = await this.findOneAndUpdate(
+    { _id: shipmentId, "events.eventId": { $ne: event.eventId } },
+    { $push: { events: { $each: [event], $sort: { occurredAt: 1 } } } },
+    { new: true, session }
+  );
+
+  if (!shipment) return null;
+
+  // Status follows the latest event, even if events arrive out of order
+  const latest = shipment.events[shipment.events.length - 1];
+  shipment.status = latest.type;
+  if (latest.type === "delivered") {
+    shipment.deliveredAt = latest.occurredAt;
+  }
+  await shipment.save({ session });
+
+  return shipment;
+};
+
+ShipmentSchema.index({ carrier: 1, trackingNumber: 1 }, { unique: true });
+
+export default mongoose.model("Shipment", ShipmentSchema);
@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+
+const ReservedItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Product is required"],
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+      min: [1, "Quantity must be at least 1"],
+    },
+  },
+  { _id: false }
+);
+
+// Stock held for an unpaid online-payment order. The stock itself is
+// decremented at checkout; the reservation decides whether that decrement
+// becomes permanent (converted) or is given back (released) on expiry.
+const StockReservationSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: [true, "Order is required"],
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+    items: {
+      type: [ReservedItemSchema],
+      validate: {
+        validator: function (items) {
+          return items && items.length > 0;
+        },
+        message: "Reservation must contain at least one item",
+      },
+    },
+    status: {
+      type: String,
+      enum: ["active", "converted", "released"],
+      default: "active",
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry is required"],
+    },
+    closedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Virtual for whether the hold has run out
+StockReservationSchema.virtual("isExpired").get(function () {
+  return this.status === "active" && this.expiresAt <= new Date();
+});
+
+// Sweeper lookup for expired active holds
+StockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+// TTL: purge closed reservations a week after they expired. Active ones are
+// excluded so MongoDB never deletes a hold before its stock is released.
+StockReservationSchema.index(
+  { expiresAt: 1 },
+  {
+    expireAfterSeconds: 7 * 24 * 60 * 60,
+    partialFilterExpression: { status: { $in: ["converted", "released"] } },
+  }
+);
+
+export default mongoose.model("StockReservation", StockReservationSchema);
@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+import WalletTransaction from "./walletTransaction.js";
+import { AppError } from "../middleware/errorHandler.js";
+
+// A customer's store credit. The balance only changes through credit() and
+// debit(), which write the matching WalletTransaction in the same session.
+const WalletSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      unique: true,
+    },
+    balance: {
+      type: Number,
+      default: 0,
+      min: [0, "Wallet balance cannot be negative"],
+    },
+    currency: {
+      type: String,
+      default: "PKR",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const assertAmount = (amount) => {
+  if (typeof amount !== "number" || !(amount > 0)) {
+    throw new AppError("Wallet amount must be greater than 0", 400);
+  }
+};
+
+// Static method to get a user's balance (0 when they have no wallet yet)
+WalletSchema.statics.getBalance = async function (userId, session = null) {
+  const wallet = await this.findOne({ user: userId }).session(session);
+  return wallet ? wallet.balance : 0;
+};
+
+// Static method to add money to a user's wallet, creating it on first use.
+// details: { source, order, description, createdBy }.
+// Returns { wallet, transaction }.
+WalletSchema.statics.credit = async function (userId, amount, details, session = null) {
+  assertAmount(amount);
+
+  const wallet = await this.findOneAndUpdate(
+    { user: userId },
+    { $inc: { balance: amount } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, session }
+  );
+
+  const [transaction] = await WalletTransaction.create(
+    [{ ...details, wallet: wallet._id, user: userId, type: "credit", amount, balanceAfter: wallet.balance }],
+    { session }
+  );
+
+  return { wallet, transaction };
+};
+
+// Static method to take money out of a user's wallet. The balance check and
+// the decrement are one atomic update, so concurrent debits cannot overdraw.
+// Returns { wallet, transaction }, or null when the balance is too low.
+WalletSchema.statics.debit = async function (userId, amount, details, session = null) {
+  assertAmount(amount);
+
+  const wallet = await this.findOneAndUpdate(
+    { user: userId, balance: { $gte: amount } },
+    { $inc: { balance: -amount } },
+    { new: true, session }
+  );
+
+  if (!wallet) return null;
+
+  const [transaction] = await WalletTransaction.create(
+    [{ ...details, wallet: wallet._id, user: userId, type: "debit", amount, balanceAfter: wallet.balance }],
+    { session }
+  );
+
+  return { wallet, transaction };
+};
+
+export default mongoose.model("Wallet", WalletSchema);
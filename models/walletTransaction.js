@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// One movement of money in or out of a customer's wallet. Rows are written
+// together with the balance change and never edited afterwards.
+const WalletTransactionSchema = new mongoose.Schema(
+  {
+    wallet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Wallet",
+      required: [true, "Wallet is required"],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    type: {
+      type: String,
+      enum: ["credit", "debit"],
+      required: true,
+    },
+    source: {
+      type: String,
+      // Credits: top_up, refund, admin_adjustment; debits: order_payment, admin_adjustment
+      enum: ["top_up", "refund", "order_payment", "admin_adjustment"],
+      required: [true, "Source is required"],
+    },
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0.01, "Amount must be greater than 0"],
+    },
+    // Wallet balance straight after this movement
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+WalletTransactionSchema.index({ user: 1, createdAt: -1 });
+WalletTransactionSchema.index({ order: 1 });
+
+export default mongoose.model("WalletTransaction", WalletTransactionSchema);
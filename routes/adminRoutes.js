@@ -15,6 +15,40 @@ import {
   updateProduct,
   deleteProduct,
 } from "../controllers/adminController.js";
+import {
+  getAllOrders,
+  exportOrders,
+  getOrderById,
+  getOrderInvoice,
+  printPackingSlips,
+  printShippingLabels,
+  updateOrderStatus,
+  updateOrderPaymentStatus,
+  getOrderPayments,
+  getOrderComments,
+  addOrderComment,
+} from "../controllers/adminOrderController.js";
+import {
+  getAllReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn,
+} from "../controllers/returnController.js";
+import {
+  createShipment,
+  getOrderShipments,
+} from "../controllers/shipmentController.js";
+import {
+  getOrderFulfillments,
+  createFulfillment,
+  updateFulfillment,
+} from "../controllers/fulfillmentController.js";
+import {
+  getUserWallet,
+  adjustUserWallet,
+} from "../controllers/walletController.js";
 import { protect, authorize } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
@@ -33,7 +67,34 @@ router.put("/users/:id", updateUser);
 router.put("/users/:id/suspend", suspendUser);
 router.put("/users/:id/activate", activateUser);
 router.delete("/users/:id", deleteUser);
+router.get("/users/:id/wallet", getUserWallet);
+router.post("/users/:id/wallet/adjustments", adjustUserWallet);
+
+// Order management
+router.get("/orders", getAllOrders);
+router.get("/orders/export", exportOrders);
+router.post("/orders/packing-slips", printPackingSlips);
+router.post("/orders/shipping-labels", printShippingLabels);
+router.get("/orders/:id", getOrderById);
+router.get("/orders/:id/invoice", getOrderInvoice);
+router.patch("/orders/:id/status", updateOrderStatus);
+router.patch("/orders/:id/payment-status", updateOrderPaymentStatus);
+router.get("/orders/:id/payments", getOrderPayments);
+router.get("/orders/:id/comments", getOrderComments);
+router.post("/orders/:id/comments", addOrderComment);
+router.get("/orders/:id/shipments", getOrderShipments);
+router.post("/orders/:id/shipments", createShipment);
+router.get("/orders/:id/fulfillments", getOrderFulfillments);
+router.post("/orders/:id/fulfillments", createFulfillment);
+router.patch("/orders/:id/fulfillments/:fulfillmentId", updateFulfillment);
 
+// Returns (RMA)
+router.get("/returns", getAllReturns);
+router.get("/returns/:id", getReturnById);
+router.patch("/returns/:id/approve", approveReturn);
+router.patch("/returns/:id/reject", rejectReturn);
+router.patch("/returns/:id/receive", receiveReturn);
+router.patch("/returns/:id/refund", refundReturn);
 
 
 // Supply and purchase details
@@ -7,7 +7,8 @@ import {
     updateCartItem,
     removeFromCart,
     clearCart,
-    getCartSummary
+    getCartSummary,
+    getCheckoutQuote
 } from '../controllers/cartController.js';
 
 const router = express.Router();
@@ -18,6 +19,9 @@ router.use(protect);
 // Cart summary for header display (MUST be before '/' route)
 router.get('/summary', getCartSummary);
 
+// Totals and estimated delivery before checkout
+router.post('/quote', getCheckoutQuote);
+
 // Get user's cart
 router.get('/', getCart);
 
@@ -0,0 +1,40 @@
+import express from 'express';
+import { guestCart } from '../middleware/authMiddleware.js';
+import { createRateLimit } from '../middleware/security.js';
+import {
+    getCart,
+    addToCart,
+    updateCartItem,
+    removeFromCart,
+    clearCart,
+    getCartSummary,
+    getCheckoutQuote
+} from '../controllers/cartController.js';
+import {
+    createGuestOrder,
+    lookupOrder,
+    confirmGuestCodOrder,
+    resendGuestCodConfirmation
+} from '../controllers/guestController.js';
+
+const router = express.Router();
+
+// Order lookup is public, so limit guessing (20 attempts per 15 minutes)
+const lookupRateLimit = createRateLimit(15 * 60 * 1000, 20, 'guest-lookup');
+
+// ===== GUEST CART ROUTES (X-Cart-Token) =====
+router.get('/cart/summary', guestCart, getCartSummary);
+router.get('/cart', guestCart, getCart);
+router.post('/cart/quote', guestCart, getCheckoutQuote);
+router.post('/cart', guestCart, addToCart);
+router.delete('/cart/clear', guestCart, clearCart);
+router.put('/cart/:productId', guestCart, updateCartItem);
+router.delete('/cart/:productId', guestCart, removeFromCart);
+
+// ===== GUEST ORDER ROUTES =====
+router.post('/orders', guestCart, createGuestOrder);
+router.post('/orders/lookup', lookupRateLimit, lookupOrder);
+router.post('/orders/confirm-cod', lookupRateLimit, confirmGuestCodOrder);
+router.post('/orders/confirm-cod/resend', lookupRateLimit, resendGuestCodConfirmation);
+
+export default router;
@@ -1,16 +1,28 @@
 import express from 'express';
 import { protect } from '../middleware/authMiddleware.js';
+import { createRateLimit } from '../middleware/security.js';
+import { idempotent } from '../middleware/idempotency.js';
 import {
     createOrder,
     getUserOrders,
     getOrder,
+    updateOrder,
+    getOrderInvoice,
     cancelOrder,
+    cancelOrderItems,
+    reorder,
+    confirmCodOrderByOtp,
+    resendCodConfirmation,
     getOrderStatusOptions,
     getOrderStats
 } from '../controllers/orderController.js';
+import { requestReturn, getOrderReturns } from '../controllers/returnController.js';
 
 const router = express.Router();
 
+// Limit guessing of COD confirmation codes (20 tries per 15 minutes)
+const codConfirmRateLimit = createRateLimit(15 * 60 * 1000, 20, 'cod-confirm');
+
 // All order routes require authentication
 router.use(protect);
 
@@ -26,10 +38,30 @@ router.get('/', getUserOrders);
 // Get single order
 router.get('/:id', getOrder);
 
-// Create new order
-router.post('/', createOrder);
+// Download order invoice
+router.get('/:id/invoice', getOrderInvoice);
+
+// Create new order (retry-safe with an Idempotency-Key header)
+router.post('/', idempotent(), createOrder);
+
+// Update a pending order
+router.patch('/:id', updateOrder);
+
+// Confirm a cash-on-delivery order with the SMS code
+router.post('/:id/confirm-cod', codConfirmRateLimit, confirmCodOrderByOtp);
+router.post('/:id/confirm-cod/resend', codConfirmRateLimit, resendCodConfirmation);
 
 // Cancel order
 router.patch('/:id/cancel', cancelOrder);
 
+// Cancel specific items of an order
+router.patch('/:id/items/cancel', cancelOrderItems);
+
+// Add a past order's items to the cart again
+router.post('/:id/reorder', reorder);
+
+// Returns for delivered items
+router.get('/:id/returns', getOrderReturns);
+router.post('/:id/returns', requestReturn);
+
 export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
 import { protect } from '../middleware/authMiddleware.js';
+import { idempotent } from '../middleware/idempotency.js';
 import {
     processPayment,
     getPaymentMethods,
@@ -18,8 +19,8 @@ router.get('/methods', getPaymentMethods);
 // Get payment status for an order
 router.get('/:orderId/status', getPaymentStatus);
 
-// Process payment for an order
-router.post('/', processPayment);
+// Process payment for an order (retry-safe with an Idempotency-Key header)
+router.post('/', idempotent(), processPayment);
 
 // Process refund for an order
 router.post('/:orderId/refund', processRefund);
@@ -0,0 +1,9 @@
+import express from 'express';
+import { paymentWebhook } from '../controllers/paymentController.js';
+
+const router = express.Router();
+
+// ===== PAYMENT PROVIDER WEBHOOKS (signed, no user auth) =====
+router.post('/webhook/:provider', paymentWebhook);
+
+export default router;
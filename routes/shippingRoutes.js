@@ -0,0 +1,9 @@
+import express from 'express';
+import { carrierWebhook } from '../controllers/shipmentController.js';
+
+const router = express.Router();
+
+// ===== CARRIER WEBHOOKS (signed, no user auth) =====
+router.post('/webhook/:carrier', carrierWebhook);
+
+export default router;
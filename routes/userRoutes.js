@@ -15,6 +15,7 @@ import {
   removeFromWishlist,
   checkWishlistStatus
 } from '../controllers/userController.js';
+import { getWallet, getWalletTransactions } from '../controllers/walletController.js';
 import { protect } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
@@ -64,5 +65,12 @@ router.delete('/wishlist/:productId', removeFromWishlist);
 // Check if product is in wishlist
 router.get('/wishlist/check/:productId', checkWishlistStatus);
 
+// ===== WALLET ROUTES =====
+
+// Get wallet balance
+router.get('/wallet', getWallet);
+
+// Get wallet transaction history
+router.get('/wallet/transactions', getWalletTransactions);
 
 export default router; 
\ No newline at end of file
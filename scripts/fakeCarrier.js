@@ -0,0 +1,63 @@
+// Local stand-in for a carrier: posts signed tracking events to the webhook.
+//
+//   node scripts/fakeCarrier.js <trackingNumber> [event ...]
+//
+// Events default to the full journey (picked_up in_transit out_for_delivery
+// delivered). Attach the tracking number to an order with carrier "local"
+// first; the server and this script need NODE_ENV=development or test for it
+// to exist. Uses CARRIER_WEBHOOK_SECRET_LOCAL / CARRIER_WEBHOOK_SECRET from
+// .env; set CARRIER=<code> to sign as another carrier (with its own
+// CARRIER_WEBHOOK_SECRET_<CODE>) and API_URL to target a server other than
+// http://localhost:$PORT.
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { TRACKING_EVENT_TYPES, getCarrier, signCarrierPayload } from '../utils/carriers.js';
+
+dotenv.config();
+
+const DEFAULT_JOURNEY = ['picked_up', 'in_transit', 'out_for_delivery', 'delivered'];
+const LOCATIONS = ['Origin hub', 'Sorting facility', 'Destination hub', 'Customer address'];
+
+const [trackingNumber, ...requestedEvents] = process.argv.slice(2);
+const carrierCode = process.env.CARRIER || 'local';
+const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+if (!trackingNumber) {
+    console.error('Usage: node scripts/fakeCarrier.js <trackingNumber> [event ...]');
+    console.error(`Events: ${Object.keys(TRACKING_EVENT_TYPES).join(', ')}`);
+    process.exit(1);
+}
+
+if (!getCarrier(carrierCode)) {
+    console.error(`Unknown carrier: ${carrierCode}`);
+    process.exit(1);
+}
+
+const events = requestedEvents.length ? requestedEvents : DEFAULT_JOURNEY;
+
+for (const [index, type] of events.entries()) {
+    const payload = {
+        eventId: crypto.randomUUID(),
+        trackingNumber,
+        type,
+        description: TRACKING_EVENT_TYPES[type],
+        location: LOCATIONS[Math.min(index, LOCATIONS.length - 1)],
+        occurredAt: new Date().toISOString()
+    };
+    const body = JSON.stringify(payload);
+
+    const response = await fetch(`${apiUrl}/api/shipping/webhook/${carrierCode}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Carrier-Signature': `sha256=${signCarrierPayload(carrierCode, body)}`
+        },
+        body
+    });
+
+    console.log(`${type}: ${response.status} ${await response.text()}`);
+
+    if (!response.ok) {
+        process.exit(1);
+    }
+}
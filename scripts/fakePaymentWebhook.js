@@ -0,0 +1,57 @@
+// Local stand-in for a payment provider: posts a signed mock gateway event to
+// the payment webhook.
+//
+//   node scripts/fakePaymentWebhook.js <reference> [status] [amount]
+//
+// The reference is the transactionId returned when paying with the mock
+// gateway (PAYMENT_GATEWAY=mock), e.g. mock_pay_<orderId>. Status is one of
+// succeeded (default), failed or refunded. Signs with
+// MOCK_GATEWAY_WEBHOOK_SECRET from .env; the server needs the same secret and
+// either PAYMENT_GATEWAY=mock or NODE_ENV=development to accept it. Set
+// API_URL to target a server other than http://localhost:$PORT. Set EVENT_ID
+// to resend a fixed event id and check deduplication.
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { signMockWebhook } from '../utils/paymentGateways/mock.js';
+
+dotenv.config();
+
+const STATUSES = ['succeeded', 'failed', 'refunded'];
+
+const [reference, status = 'succeeded', amount] = process.argv.slice(2);
+const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+if (!process.env.MOCK_GATEWAY_WEBHOOK_SECRET) {
+    console.error('Set MOCK_GATEWAY_WEBHOOK_SECRET to sign mock webhooks');
+    process.exit(1);
+}
+
+if (!reference || !STATUSES.includes(status)) {
+    console.error('Usage: node scripts/fakePaymentWebhook.js <reference> [status] [amount]');
+    console.error(`Statuses: ${STATUSES.join(', ')}`);
+    process.exit(1);
+}
+
+const payload = {
+    id: process.env.EVENT_ID || `evt_${crypto.randomUUID()}`,
+    type: `payment.${status}`,
+    reference,
+    status,
+    amount: amount !== undefined ? parseFloat(amount) : undefined
+};
+const body = JSON.stringify(payload);
+
+const response = await fetch(`${apiUrl}/api/payments/webhook/mock`, {
+    method: 'POST',
+    headers: {
+        'Content-Type': 'application/json',
+        'X-Mock-Signature': signMockWebhook(body)
+    },
+    body
+});
+
+console.log(`${payload.id} ${status}: ${response.status} ${await response.text()}`);
+
+if (!response.ok) {
+    process.exit(1);
+}
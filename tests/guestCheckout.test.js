@@ -0,0 +1,185 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+// Nothing is connected; fail database calls at once instead of queueing them
+mongoose.set('bufferCommands', false);
+
+const { default: Cart } = await import('../models/cart.js');
+const { default: Order } = await import('../models/order.js');
+const { default: Product } = await import('../models/product.js');
+const { addToCart } = await import('../controllers/cartController.js');
+const { placeOrderFromCart } = await import('../utils/checkout.js');
+
+// Minimal in-memory stand-in for the MongoDB collections a guest checkout
+// touches. Projections are honoured, so fields hidden from queries really are
+// missing from loaded documents.
+const stores = new Map();
+
+// Dotted paths such as "items.0.quantity" reach into nested values
+const getPath = (doc, path) => path.split('.').reduce((current, part) => current?.[part], doc);
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+    const value = getPath(doc, key);
+    if (condition && typeof condition === 'object' && !(condition instanceof mongoose.Types.ObjectId)) {
+        return Object.entries(condition).every(([operator, operand]) => {
+            switch (operator) {
+                case '$in': return operand.some(item => String(item) === String(value));
+                case '$gt': return value > operand;
+                case '$gte': return value >= operand;
+                case '$exists': return (value !== undefined) === operand;
+                default: throw new Error(`Unsupported operator ${operator}`);
+            }
+        });
+    }
+    return String(value) === String(condition);
+});
+
+// Deep copy that keeps ObjectIds and Dates, like a round trip through BSON
+const clone = (value) => {
+    if (value instanceof mongoose.Types.ObjectId) return new mongoose.Types.ObjectId(value);
+    if (value instanceof Date) return new Date(value);
+    if (Array.isArray(value)) return value.map(clone);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+};
+
+const project = (doc, projection = {}) => {
+    const copy = clone(doc);
+    Object.entries(projection).forEach(([key, include]) => {
+        if (include === 0) delete copy[key];
+    });
+    return copy;
+};
+
+const setPath = (doc, path, value) => {
+    const parts = path.split('.');
+    const parent = parts.slice(0, -1).reduce((current, part) => current[part], doc);
+    if (value === undefined) delete parent[parts.at(-1)];
+    else parent[parts.at(-1)] = value;
+};
+
+const applyUpdate = (doc, update) => {
+    Object.entries(update).forEach(([operator, fields]) => {
+        if (!operator.startsWith('$')) {
+            doc[operator] = fields;
+            return;
+        }
+        // Nothing is ever upserted here
+        if (operator === '$setOnInsert') return;
+        Object.entries(fields).forEach(([key, value]) => {
+            if (operator === '$set') setPath(doc, key, clone(value));
+            else if (operator === '$inc') setPath(doc, key, (getPath(doc, key) || 0) + value);
+            else if (operator === '$unset') setPath(doc, key, undefined);
+            else if (operator === '$push') setPath(doc, key, [...(getPath(doc, key) || []), ...clone(value.$each || [value])]);
+            else throw new Error(`Unsupported update ${operator}`);
+        });
+    });
+};
+
+const useMemoryCollection = (Model) => {
+    const docs = new Map();
+    stores.set(Model.modelName, docs);
+    const find = (filter) => [...docs.values()].filter(doc => matches(doc, filter));
+
+    Object.assign(Model.collection, {
+        async findOne(filter, options = {}) {
+            const [doc] = find(filter);
+            return doc ? project(doc, options.projection) : null;
+        },
+        find(filter, options = {}) {
+            return { toArray: async () => find(filter).map(doc => project(doc, options.projection)) };
+        },
+        async insertOne(doc) {
+            docs.set(String(doc._id), clone(doc));
+            return { acknowledged: true, insertedId: doc._id };
+        },
+        async updateOne(filter, update) {
+            const [doc] = find(filter);
+            if (doc) applyUpdate(doc, update);
+            return { acknowledged: true, matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+        },
+        async findOneAndUpdate(filter, update, options = {}) {
+            const [doc] = find(filter);
+            if (!doc) return null;
+            applyUpdate(doc, update);
+            return project(doc, options.projection);
+        }
+    });
+
+    return docs;
+};
+
+const callHandler = (handler, req) => new Promise((resolve, reject) => {
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            resolve({ status: this.statusCode, body });
+        }
+    };
+    handler(req, res, error => (error ? reject(error) : resolve(null)));
+});
+
+const shippingAddress = {
+    firstName: 'Ayesha',
+    lastName: 'Khan',
+    email: 'ayesha@example.com',
+    phone: '+923001234567',
+    street: '12 Mall Road',
+    city: 'Lahore',
+    state: 'Punjab',
+    zipCode: '54000'
+};
+
+let product;
+
+beforeEach(async () => {
+    mongoose.connection.transaction = async (fn) => fn(null);
+    Order.generateOrderNumber = async () => '202601010001';
+    Order.deliverQueuedEmails = async () => {};
+    process.env.SMS_PROVIDER = 'console';
+
+    useMemoryCollection(Cart);
+    useMemoryCollection(Order);
+    const products = useMemoryCollection(Product);
+
+    product = {
+        _id: new mongoose.Types.ObjectId(),
+        name: 'Ceramic Mug',
+        price: 1200,
+        quantity: 10,
+        status: 'active'
+    };
+    products.set(String(product._id), clone(product));
+});
+
+test('a guest can add to the same cart twice and then check out', async () => {
+    const guestTokenHash = Cart.hashGuestToken(Cart.generateGuestToken());
+    const req = { guestTokenHash, body: { productId: String(product._id), quantity: 1 } };
+
+    const first = await callHandler(addToCart, req);
+    assert.equal(first.status, 200);
+
+    const second = await callHandler(addToCart, { ...req, body: { productId: String(product._id), quantity: 2 } });
+    assert.equal(second.status, 200);
+    assert.equal(second.body.cart.totalItems, 3);
+
+    const { order } = await placeOrderFromCart(
+        { guestTokenHash },
+        { guest: true, shippingAddress, paymentMethod: 'cash_on_delivery' }
+    );
+
+    assert.equal(order.items[0].quantity, 3);
+    assert.equal(order.total > 0, true);
+
+    const [storedCart] = stores.get('Cart').values();
+    assert.equal(storedCart.guestTokenHash, guestTokenHash);
+    assert.deepEqual(storedCart.items, []);
+    assert.equal(stores.get('Product').get(String(product._id)).quantity, 7);
+});
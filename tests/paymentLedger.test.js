@@ -0,0 +1,76 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+// Nothing is connected; fail database calls at once instead of queueing them
+mongoose.set('bufferCommands', false);
+
+const { default: Order } = await import('../models/order.js');
+const { default: PaymentTransaction } = await import('../models/paymentTransaction.js');
+const { claimAuthorization, refundOrderPayment } = await import('../utils/paymentLedger.js');
+
+let ledger;
+
+beforeEach(() => {
+    ledger = [];
+    PaymentTransaction.collection.insertOne = async (doc) => {
+        ledger.push(doc);
+        return { acknowledged: true, insertedId: doc._id };
+    };
+});
+
+const paidOrder = () => new Order({
+    user: new mongoose.Types.ObjectId(),
+    orderNumber: '202601010001',
+    paymentMethod: 'bank_transfer',
+    paymentStatus: 'paid',
+    paymentTransactionId: 'BT-202601010001',
+    total: 5000
+});
+
+const gatewayReturning = (status) => ({
+    name: 'test',
+    async refund({ amount }) {
+        return { status, reference: 'REFUND-1', message: `Refund ${status}`, raw: { amount } };
+    }
+});
+
+test('a pending refund leaves the order refund_pending without counting it as refunded', async () => {
+    const order = paidOrder();
+
+    const { amount, result } = await refundOrderPayment(order, gatewayReturning('pending'));
+
+    assert.equal(amount, 5000);
+    assert.equal(result.status, 'pending');
+    assert.equal(order.paymentStatus, 'refund_pending');
+    assert.equal(order.refundedAmount, 0);
+    assert.equal(ledger[0].status, 'pending');
+});
+
+test('a succeeded refund marks the order refunded and adds the amount', async () => {
+    const order = paidOrder();
+
+    await refundOrderPayment(order, gatewayReturning('succeeded'));
+
+    assert.equal(order.paymentStatus, 'refunded');
+    assert.equal(order.refundedAmount, 5000);
+    assert.equal(ledger[0].status, 'succeeded');
+});
+
+test('only one of two callers can claim an authorization', async () => {
+    const order = paidOrder();
+    let paymentStatus = 'pending';
+    Order.collection.updateOne = async (filter, update) => {
+        const matched = filter.paymentStatus.$in.includes(paymentStatus);
+        if (matched) paymentStatus = update.$set.paymentStatus;
+        return { acknowledged: true, matchedCount: Number(matched), modifiedCount: Number(matched) };
+    };
+
+    const claims = await Promise.all([
+        claimAuthorization(order, 'pi_123'),
+        claimAuthorization(order, 'pi_123')
+    ]);
+
+    assert.deepEqual(claims.sort(), [false, true]);
+    assert.equal(paymentStatus, 'capturing');
+});
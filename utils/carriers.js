@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+
+// Carriers we ship with. Each signs its webhook calls with its own secret,
+// CARRIER_WEBHOOK_SECRET_<CODE>.
+const CARRIERS = {
+    tcs: { name: 'TCS' },
+    leopards: { name: 'Leopards Courier' },
+    mnp: { name: 'M&P' },
+    trax: { name: 'Trax' }
+};
+
+// Stand-in used with scripts/fakeCarrier.js. It may sign with the shared
+// CARRIER_WEBHOOK_SECRET, so it only exists in development and test
+const TEST_CARRIERS = {
+    local: { name: 'Local Test Carrier' }
+};
+
+const isTestCarrierEnabled = () => {
+    return ['development', 'test'].includes(process.env.NODE_ENV);
+};
+
+const findCarrier = (code) => {
+    if (Object.hasOwn(TEST_CARRIERS, code)) {
+        return isTestCarrierEnabled() ? TEST_CARRIERS[code] : null;
+    }
+    return Object.hasOwn(CARRIERS, code) ? CARRIERS[code] : null;
+};
+
+// Tracking event types carriers may report
+export const TRACKING_EVENT_TYPES = {
+    picked_up: 'Picked up by carrier',
+    in_transit: 'In transit',
+    out_for_delivery: 'Out for delivery',
+    delivered: 'Delivered',
+    failed_attempt: 'Delivery attempt failed'
+};
+
+export const getCarrier = (code) => {
+    const carrier = findCarrier(code);
+    return carrier ? { code, ...carrier } : null;
+};
+
+export const getCarrierList = () => {
+    const codes = Object.keys(CARRIERS);
+    if (isTestCarrierEnabled()) codes.push(...Object.keys(TEST_CARRIERS));
+    return codes.map(getCarrier);
+};
+
+const getWebhookSecret = (code) => {
+    if (!findCarrier(code)) return undefined;
+
+    const secret = process.env[`CARRIER_WEBHOOK_SECRET_${code.toUpperCase()}`];
+    if (secret || !Object.hasOwn(TEST_CARRIERS, code)) return secret;
+    return process.env.CARRIER_WEBHOOK_SECRET;
+};
+
+// HMAC-SHA256 of the raw request body, hex encoded
+export const signCarrierPayload = (code, rawBody) => {
+    const secret = getWebhookSecret(code);
+    if (!secret) {
+        throw new Error(`No webhook secret configured for carrier ${code}`);
+    }
+    return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+};
+
+// Constant-time check of the X-Carrier-Signature header
+export const verifyCarrierSignature = (code, rawBody, signature) => {
+    if (!rawBody || !signature || !getWebhookSecret(code)) return false;
+
+    const expected = Buffer.from(signCarrierPayload(code, rawBody), 'hex');
+    const received = Buffer.from(String(signature).replace(/^sha256=/, ''), 'hex');
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
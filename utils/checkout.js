@@ -0,0 +1,134 @@
+import mongoose from 'mongoose';
+import Order from '../models/order.js';
+import Cart from '../models/cart.js';
+import Product from '../models/product.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { requiresReservation, createReservation } from './stockReservations.js';
+import { calculateOrderTotals } from './orderPricing.js';
+import { startCodVerification } from './codVerification.js';
+
+// Turn the cart matching cartFilter into an order. `user` is omitted for
+// guest checkouts, where shippingAddress.email is the customer contact.
+// Returns { order, reservation }; throws AppError when checkout cannot proceed.
+export const placeOrderFromCart = async (cartFilter, {
+    user,
+    guest = false,
+    shippingAddress,
+    paymentMethod = 'cash_on_delivery',
+    notes = ''
+}) => {
+    // Validate shipping address
+    if (!shippingAddress || !shippingAddress.firstName || !shippingAddress.lastName ||
+        !shippingAddress.street || !shippingAddress.city || !shippingAddress.state ||
+        !shippingAddress.zipCode || !shippingAddress.phone || !shippingAddress.email) {
+        throw new AppError('Complete shipping address is required', 400);
+    }
+
+    const cart = await Cart.findOne(cartFilter)
+        .populate({
+            path: 'items.product',
+            select: 'name price status quantity images category brand'
+        });
+
+    if (!cart || cart.items.length === 0) {
+        throw new AppError('Cart is empty', 400);
+    }
+
+    // Validate all products are still available
+    const unavailableProducts = [];
+    for (const item of cart.items) {
+        if (!item.product || item.product.status !== 'active') {
+            unavailableProducts.push(item.product?.name || 'Unknown product');
+            continue;
+        }
+
+        if (item.product.quantity < item.quantity) {
+            unavailableProducts.push(`${item.product.name} (only ${item.product.quantity} available)`);
+        }
+    }
+
+    if (unavailableProducts.length > 0) {
+        throw new AppError(
+            `Some products are no longer available: ${unavailableProducts.join(', ')}`,
+            400
+        );
+    }
+
+    // Calculate totals
+    const subtotal = cart.items.reduce((total, item) => {
+        return total + (item.product.price * item.quantity);
+    }, 0);
+
+    const { shippingCost, tax, total } = calculateOrderTotals(subtotal);
+
+    // Create order
+    const order = new Order({
+        user,
+        guest,
+        items: cart.items.map(item => ({
+            product: item.product._id,
+            name: item.product.name,
+            quantity: item.quantity,
+            price: item.product.price,
+            total: item.product.price * item.quantity
+        })),
+        shippingAddress,
+        paymentMethod,
+        subtotal,
+        shippingCost,
+        tax,
+        total,
+        notes,
+        status: 'pending',
+        paymentStatus: 'pending'
+    });
+
+    // Insert the order, reserve stock and clear the cart in one transaction.
+    // Each decrement only matches while enough stock is left, so concurrent
+    // checkouts cannot drive quantity negative; any failure rolls back all of it.
+    let reservation = null;
+    await mongoose.connection.transaction(async (session) => {
+        const outOfStock = [];
+
+        for (const item of cart.items) {
+            const updated = await Product.findOneAndUpdate(
+                {
+                    _id: item.product._id,
+                    status: 'active',
+                    quantity: { $gte: item.quantity }
+                },
+                { $inc: { quantity: -item.quantity } },
+                { new: true, session }
+            );
+
+            if (!updated) {
+                outOfStock.push(item.product.name);
+            }
+        }
+
+        if (outOfStock.length > 0) {
+            throw new AppError(
+                `Some products went out of stock while placing your order: ${outOfStock.join(', ')}`,
+                409
+            );
+        }
+
+        await order.save({ session });
+
+        // Online payments only hold the stock until the reservation expires
+        if (requiresReservation(paymentMethod)) {
+            reservation = await createReservation(order, session);
+        }
+
+        // Clear cart after successful order
+        cart.items = [];
+        await cart.save({ session });
+    });
+
+    // Cash-on-delivery orders wait for a code sent to the shipping phone
+    if (paymentMethod === 'cash_on_delivery') {
+        await startCodVerification(order);
+    }
+
+    return { order, reservation };
+};
@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import Order from '../models/order.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { sendSms } from './smsService.js';
+import { cancelOrderWithRestock } from './stockReservations.js';
+
+const OTP_TTL_MINUTES = parseInt(process.env.COD_OTP_TTL_MINUTES) || 10;
+const MAX_OTP_ATTEMPTS = 5;
+const MAX_OTP_SENDS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+
+// How long a COD order may wait for phone confirmation before it expires
+const CONFIRMATION_WINDOW_MINUTES = parseInt(process.env.COD_CONFIRMATION_WINDOW_MINUTES) || 120;
+
+const hashOtp = (orderId, otp) => {
+    return crypto.createHash('sha256').update(`${orderId}:${otp}`).digest('hex');
+};
+
+const maskPhone = (phone = '') => {
+    return phone.length > 4 ? `${'*'.repeat(phone.length - 4)}${phone.slice(-4)}` : phone;
+};
+
+// What the customer is told about a pending phone confirmation
+export const getCodVerificationSummary = (order) => {
+    if (!order.codVerification) return null;
+
+    return {
+        required: !order.codVerification.verifiedAt,
+        phone: maskPhone(order.shippingAddress?.phone),
+        otpExpiresAt: order.codVerification.otpExpiresAt,
+        confirmBy: order.codVerification.confirmBy,
+        verifiedAt: order.codVerification.verifiedAt
+    };
+};
+
+// Only pending COD orders still inside their confirmation window qualify
+const assertAwaitingConfirmation = (order) => {
+    if (order.paymentMethod !== 'cash_on_delivery' || !order.codVerification) {
+        throw new AppError('This order does not need phone confirmation', 400);
+    }
+    if (order.codVerification.verifiedAt) {
+        throw new AppError('This order has already been confirmed', 400);
+    }
+    if (order.status !== 'pending') {
+        throw new AppError(`Order is already ${order.status}`, 400);
+    }
+    if (order.codVerification.confirmBy <= new Date()) {
+        throw new AppError('The confirmation window for this order has passed', 410);
+    }
+};
+
+// Generate a new code for the order, store its hash and text it to the
+// shipping phone. A failed SMS is logged; the customer can ask for a resend.
+const sendCodOtp = async (order) => {
+    const verification = order.codVerification;
+    const otp = crypto.randomInt(100000, 1000000).toString();
+
+    verification.otpHash = hashOtp(order._id, otp);
+    verification.otpExpiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+    verification.attempts = 0;
+    verification.sentCount = (verification.sentCount || 0) + 1;
+    verification.lastSentAt = new Date();
+    await order.save();
+
+    try {
+        await sendSms(
+            order.shippingAddress.phone,
+            `Your E-Process code to confirm order #${order.orderNumber} is ${otp}. ` +
+                `It expires in ${OTP_TTL_MINUTES} minutes.`
+        );
+    } catch (error) {
+        console.error(`Failed to send COD confirmation code for order ${order.orderNumber}:`, error.message);
+    }
+};
+
+// Start phone confirmation for a newly placed COD order
+export const startCodVerification = async (order) => {
+    order.codVerification = {
+        confirmBy: new Date(Date.now() + CONFIRMATION_WINDOW_MINUTES * 60 * 1000)
+    };
+
+    await sendCodOtp(order);
+};
+
+// Send another code, throttled so the phone cannot be flooded
+export const resendCodOtp = async (order) => {
+    assertAwaitingConfirmation(order);
+
+    const { lastSentAt, sentCount } = order.codVerification;
+    if (sentCount >= MAX_OTP_SENDS) {
+        throw new AppError('Too many codes requested for this order. Please contact support.', 429);
+    }
+    if (lastSentAt && Date.now() - lastSentAt.getTime() < RESEND_COOLDOWN_SECONDS * 1000) {
+        throw new AppError(`Please wait ${RESEND_COOLDOWN_SECONDS} seconds before requesting another code`, 429);
+    }
+
+    await sendCodOtp(order);
+};
+
+// Check the code and confirm the order. Each try is counted atomically
+// before the comparison, so parallel guesses cannot exceed MAX_OTP_ATTEMPTS.
+export const confirmCodOrder = async (order, otp, actor = {}) => {
+    assertAwaitingConfirmation(order);
+
+    const attempt = await Order.findOneAndUpdate(
+        { _id: order._id, 'codVerification.attempts': { $lt: MAX_OTP_ATTEMPTS } },
+        { $inc: { 'codVerification.attempts': 1 } },
+        { new: true }
+    ).select('+codVerification.otpHash');
+
+    if (!attempt) {
+        throw new AppError('Too many wrong codes. Please request a new code.', 429);
+    }
+
+    const verification = attempt.codVerification;
+
+    if (!verification.otpHash || verification.otpExpiresAt <= new Date()) {
+        throw new AppError('The code has expired. Please request a new code.', 400);
+    }
+
+    const expected = Buffer.from(verification.otpHash, 'hex');
+    const received = Buffer.from(hashOtp(attempt._id, String(otp || '').trim()), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, received)) {
+        throw new AppError('Invalid confirmation code', 400);
+    }
+
+    verification.verifiedAt = new Date();
+    verification.otpHash = undefined;
+    verification.otpExpiresAt = undefined;
+
+    // Only confirm an order that is still pending and unverified, so a
+    // cancellation by the sweeper in the meantime is not overwritten
+    attempt.$where = { status: 'pending', 'codVerification.verifiedAt': { $exists: false } };
+    try {
+        await attempt.updateStatus('confirmed', 'Confirmed by phone', {
+            user: actor.user,
+            role: actor.role || 'customer'
+        });
+    } catch (error) {
+        // Mongoose reports the unmatched filter as one of these, depending on
+        // whether the save also bumped the document version
+        if (['DocumentNotFoundError', 'VersionError'].includes(error.name)) {
+            throw new AppError('This order is no longer awaiting confirmation', 409);
+        }
+        throw error;
+    }
+
+    return attempt;
+};
+
+// Cancel COD orders whose confirmation window passed without a valid code;
+// returns how many were cancelled
+export const cancelUnconfirmedCodOrders = async (batchSize = 100) => {
+    const filter = {
+        status: 'pending',
+        paymentMethod: 'cash_on_delivery',
+        'codVerification.confirmBy': { $lte: new Date() },
+        'codVerification.verifiedAt': { $exists: false }
+    };
+
+    const expired = await Order.find(filter).select('_id').limit(batchSize);
+
+    let cancelledCount = 0;
+    for (const { _id } of expired) {
+        try {
+            const order = await cancelOrderWithRestock(_id, {
+                filter,
+                reason: 'Order was not confirmed by phone in time',
+                actor: { role: 'system' }
+            });
+            if (order) cancelledCount++;
+        } catch (error) {
+            console.error(`Failed to expire unconfirmed COD order ${_id}:`, error.message);
+        }
+    }
+
+    return cancelledCount;
+};
@@ -0,0 +1,76 @@
+import deliveryConfig from '../config/delivery.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeName = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Store-local calendar day of an instant, as a Date at UTC midnight
+const toLocalDay = (date, config) => {
+    const local = new Date(date.getTime() + config.utcOffsetMinutes * 60 * 1000);
+    return {
+        day: new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate())),
+        hour: local.getUTCHours()
+    };
+};
+
+const formatDay = (day) => day.toISOString().slice(0, 10);
+
+export const isWorkingDay = (day, config = deliveryConfig) => {
+    if (config.weekendDays.includes(day.getUTCDay())) return false;
+
+    const date = formatDay(day);
+    return !config.holidays.includes(date) && !config.holidays.includes(date.slice(5));
+};
+
+const nextWorkingDay = (day, config) => {
+    let next = new Date(day.getTime() + DAY_MS);
+    while (!isWorkingDay(next, config)) {
+        next = new Date(next.getTime() + DAY_MS);
+    }
+    return next;
+};
+
+// Working-day lead time for an address: city first, then province. Names come
+// from the customer, so only the tables' own keys count (not e.g. "constructor").
+export const getLeadTime = (address = {}, config = deliveryConfig) => {
+    const city = normalizeName(address.city);
+    if (Object.hasOwn(config.cityLeadTimes, city)) {
+        return { days: config.cityLeadTimes[city], zone: { type: 'city', name: city } };
+    }
+
+    const state = normalizeName(address.state);
+    const province = Object.hasOwn(config.provinceAliases, state) ? config.provinceAliases[state] : state;
+    if (Object.hasOwn(config.provinceLeadTimes, province)) {
+        return { days: config.provinceLeadTimes[province], zone: { type: 'province', name: province } };
+    }
+
+    return { days: config.defaultLeadTime, zone: { type: 'default', name: null } };
+};
+
+// Estimate when an order placed at `placedAt` for `address` will arrive.
+// Orders placed on a working day before the cutoff are dispatched that day,
+// later ones on the next working day; delivery then takes the zone's lead
+// time in working days. Dates are store-local calendar days (UTC midnight).
+export const estimateDelivery = (address = {}, placedAt = new Date(), config = deliveryConfig) => {
+    const { day: placedDay, hour } = toLocalDay(new Date(placedAt), config);
+    const beforeCutoff = hour < config.dispatchCutoffHour;
+
+    const dispatchDate = isWorkingDay(placedDay, config) && beforeCutoff
+        ? placedDay
+        : nextWorkingDay(placedDay, config);
+
+    const { days, zone } = getLeadTime(address, config);
+    let deliveryDate = dispatchDate;
+    for (let i = 0; i < days; i++) {
+        deliveryDate = nextWorkingDay(deliveryDate, config);
+    }
+
+    return {
+        dispatchDate,
+        estimatedDelivery: deliveryDate,
+        leadTimeDays: days,
+        zone,
+        sameDayDispatch: dispatchDate.getTime() === placedDay.getTime(),
+        cutoffHour: config.dispatchCutoffHour
+    };
+};
@@ -282,3 +282,136 @@ export const sendPasswordResetEmail = async (email, resetUrl) => {
     throw new Error('Email could not be sent');
   }
 };
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatPrice = (amount) => `PKR ${Number(amount || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+})}`;
+
+// Subject line and intro for each order lifecycle email
+const ORDER_EMAILS = {
+  placed: {
+    subject: (order) => `Order #${order.orderNumber} Received`,
+    title: 'Thank you for your order',
+    message: () => 'We have received your order and will let you know as soon as it is confirmed.',
+  },
+  confirmed: {
+    subject: (order) => `Order #${order.orderNumber} Confirmed`,
+    title: 'Your order is confirmed',
+    message: () => 'Your order has been confirmed and is being prepared for dispatch.',
+  },
+  shipped: {
+    subject: (order) => `Order #${order.orderNumber} Shipped`,
+    title: 'Your order is on its way',
+    message: (order) => (order.status === 'partially_shipped'
+      ? 'Part of your order has been shipped. We will let you know when the rest is on its way.'
+      : 'Your order has been handed over to the courier.'),
+  },
+  delivered: {
+    subject: (order) => `Order #${order.orderNumber} Delivered`,
+    title: 'Your order has been delivered',
+    message: () => 'We hope you enjoy your purchase. Items can be returned within 7 days of delivery.',
+  },
+  cancelled: {
+    subject: (order) => `Order #${order.orderNumber} Cancelled`,
+    title: 'Your order has been cancelled',
+    message: (order) => order.cancellationReason
+      ? `Reason: ${order.cancellationReason}`
+      : 'Your order has been cancelled.',
+  },
+  refunded: {
+    subject: (order) => `Order #${order.orderNumber} Refunded`,
+    title: 'Your refund is on its way',
+    message: (order) => `A refund of ${formatPrice(order.refundedAmount || order.total)} has been issued for your order.`,
+  },
+};
+
+export const ORDER_EMAIL_EVENTS = Object.keys(ORDER_EMAILS);
+
+// Send an order lifecycle email (placed, confirmed, shipped, delivered,
+// cancelled or refunded) listing the order's items and totals
+export const sendOrderStatusEmail = async (email, order, event) => {
+  const template = ORDER_EMAILS[event];
+  if (!template) {
+    throw new Error(`Unknown order email: ${event}`);
+  }
+
+  try {
+    const transporter = createTransporter();
+
+    const itemRows = order.items.map((item) => `
+      <tr>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(item.name || item.product?.name || 'Product')}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${item.quantity}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${formatPrice(item.total)}</td>
+      </tr>`).join('');
+
+    const totalRows = [
+      ['Subtotal', order.subtotal],
+      ['Shipping', order.shippingCost],
+      ['Tax', order.tax],
+      ['Total', order.total],
+    ].map(([label, amount]) => `
+      <tr>
+        <td colspan="2" style="padding: 4px 8px; text-align: right;">${label}</td>
+        <td style="padding: 4px 8px; text-align: right;">${formatPrice(amount)}</td>
+      </tr>`).join('');
+
+    const tracking = event === 'shipped' && order.trackingNumber
+      ? `<p>Tracking number: <strong>${escapeHtml(order.trackingNumber)}</strong></p>`
+      : '';
+
+    const mailOptions = {
+      from: `"E-Process" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: `${template.subject(order)} - E-Process`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: 'Arial', sans-serif; background-color: #f4f4f4; margin: 0; padding: 0; }
+            .container { max-width: 600px; margin: 40px auto; background-color: #ffffff; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; color: white; }
+            .content { padding: 30px; color: #666; line-height: 1.6; }
+            table { width: 100%; border-collapse: collapse; margin-top: 20px; color: #333; }
+            .footer { background-color: #f8f9fa; padding: 20px; text-align: center; color: #999; font-size: 14px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header"><h1>${template.title}</h1></div>
+            <div class="content">
+              <h2>Order #${escapeHtml(order.orderNumber)}</h2>
+              <p>${escapeHtml(template.message(order))}</p>
+              ${tracking}
+              <table>
+                <tr>
+                  <th style="padding: 8px; text-align: left; border-bottom: 2px solid #ddd;">Item</th>
+                  <th style="padding: 8px; text-align: right; border-bottom: 2px solid #ddd;">Qty</th>
+                  <th style="padding: 8px; text-align: right; border-bottom: 2px solid #ddd;">Total</th>
+                </tr>
+                ${itemRows}
+                ${totalRows}
+              </table>
+            </div>
+            <div class="footer"><p>© ${new Date().getFullYear()} E-Process. All rights reserved.</p></div>
+          </div>
+        </body>
+        </html>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Order ${event} email sent successfully`);
+  } catch (error) {
+    console.error(`❌ Order ${event} email failed:`, error);
+    // Don't throw, the order change itself has already happened
+  }
+};
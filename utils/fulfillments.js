@@ -0,0 +1,29 @@
+import Fulfillment from '../models/fulfillment.js';
+
+// Fulfillment status a carrier scan puts the parcel in
+const TRACKING_EVENT_FULFILLMENT_STATUS = {
+    picked_up: 'shipped',
+    in_transit: 'shipped',
+    out_for_delivery: 'shipped',
+    delivered: 'delivered'
+};
+
+export const getFulfillmentStatusForEvent = (eventType) => {
+    return TRACKING_EVENT_FULFILLMENT_STATUS[eventType] || null;
+};
+
+// Re-derive the order status from all of its fulfillments and move the order
+// forward if they imply a later status. Does not save the order.
+export const syncOrderFulfillmentStatus = async (order, { note = '', at = new Date(), session = null } = {}) => {
+    const fulfillments = await Fulfillment.find({
+        order: order._id,
+        status: { $ne: 'cancelled' }
+    }).session(session);
+
+    const target = order.getFulfillmentStatus(fulfillments);
+    if (target) {
+        order.advanceFulfillment(target, note, at);
+    }
+
+    return order;
+};
@@ -0,0 +1,136 @@
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import ExcelJS from 'exceljs';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+export const EXPORT_MODES = ['orders', 'items'];
+
+const customerName = (order) => {
+    const address = order.shippingAddress || {};
+    return [address.firstName, address.lastName].filter(Boolean).join(' ');
+};
+
+const orderColumns = [
+    { header: 'Order Number', width: 18, value: order => order.orderNumber },
+    { header: 'Order Date', width: 22, value: order => order.createdAt },
+    { header: 'Invoice Number', width: 16, value: order => order.invoiceNumber },
+    { header: 'Status', width: 16, value: order => order.status },
+    { header: 'Payment Status', width: 14, value: order => order.paymentStatus },
+    { header: 'Payment Method', width: 18, value: order => order.paymentMethod },
+    { header: 'Customer', width: 24, value: customerName },
+    { header: 'Email', width: 28, value: order => order.shippingAddress?.email || order.user?.email },
+    { header: 'City', width: 16, value: order => order.shippingAddress?.city },
+    { header: 'Guest', width: 8, value: order => (order.guest ? 'yes' : 'no') }
+];
+
+const totalColumns = [
+    { header: 'Items', width: 8, value: order => order.items.reduce((total, item) => total + item.quantity, 0) },
+    { header: 'Subtotal', width: 12, value: order => order.subtotal },
+    { header: 'Shipping', width: 12, value: order => order.shippingCost },
+    { header: 'Tax', width: 12, value: order => order.tax },
+    { header: 'Total', width: 12, value: order => order.total },
+    { header: 'Refunded', width: 12, value: order => order.refundedAmount || 0 }
+];
+
+// Item rows repeat the order columns so each row stands on its own in a pivot
+const itemColumns = [
+    { header: 'Product ID', width: 26, value: (order, item) => String(item.product?._id || item.product || '') },
+    { header: 'Product', width: 32, value: (order, item) => item.name || item.product?.name || '' },
+    { header: 'Quantity', width: 10, value: (order, item) => item.quantity },
+    { header: 'Unit Price', width: 12, value: (order, item) => item.price },
+    { header: 'Line Total', width: 12, value: (order, item) => item.total }
+];
+
+const columnsFor = (mode) => (mode === 'items'
+    ? [...orderColumns, ...itemColumns]
+    : [...orderColumns, ...totalColumns]);
+
+// One order becomes one row, or one row per item in items mode
+const rowsFor = (order, mode, columns) => {
+    if (mode === 'items') {
+        return order.items.map(item => columns.map(column => column.value(order, item)));
+    }
+    return [columns.map(column => column.value(order))];
+};
+
+// Quote a CSV cell; text starting with a formula character is prefixed so
+// spreadsheet apps do not evaluate it
+const csvCell = (value) => {
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'number') return String(value);
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (cells) => `${cells.map(csvCell).join(',')}\r\n`;
+
+async function* csvLines(cursor, mode) {
+    const columns = columnsFor(mode);
+
+    yield csvLine(columns.map(column => column.header));
+    for await (const order of cursor) {
+        for (const row of rowsFor(order, mode, columns)) {
+            yield csvLine(row);
+        }
+    }
+}
+
+// pipeline only reads the next order once the client has taken the last one,
+// and stops the generator (closing the cursor) if the client disconnects
+const writeCsv = (res, cursor, mode) => pipeline(Readable.from(csvLines(cursor, mode)), res);
+
+const writeXlsx = async (res, cursor, mode) => {
+    const columns = columnsFor(mode);
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const worksheet = workbook.addWorksheet(mode === 'items' ? 'Order Items' : 'Orders');
+
+    worksheet.columns = columns.map(column => ({ header: column.header, width: column.width }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+
+    for await (const order of cursor) {
+        // Client has gone; the cursor is closed by the 'close' handler
+        if (res.destroyed) return;
+
+        for (const row of rowsFor(order, mode, columns)) {
+            worksheet.addRow(row.map(value => value ?? '')).commit();
+        }
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+};
+
+// Stream the orders from a Mongoose cursor to the response as a download
+export const streamOrderExport = async (res, cursor, { format = 'csv', mode = 'orders' } = {}) => {
+    const filename = `orders-${mode}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Type', format === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    // Stop reading from the database if the client goes away
+    res.on('close', () => cursor.close().catch(() => {}));
+
+    try {
+        if (format === 'xlsx') {
+            await writeXlsx(res, cursor, mode);
+        } else {
+            await writeCsv(res, cursor, mode);
+        }
+    } catch (error) {
+        // The client went away mid-download; nothing is left to send
+        if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+
+        // Once rows have been sent an error response is no longer possible
+        if (!res.headersSent) throw error;
+        console.error('Order export failed:', error);
+        res.destroy(error);
+    }
+};
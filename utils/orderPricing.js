@@ -0,0 +1,26 @@
+// Shipping and tax rules shared by checkout and every later order change
+
+const FREE_SHIPPING_THRESHOLD = 5000; // Free shipping over 5000 PKR
+const FLAT_SHIPPING_COST = 200;
+const TAX_RATE = 0.05; // 5% tax
+
+// Calculate shipping, tax and total for a subtotal
+export const calculateOrderTotals = (subtotal) => {
+    const shippingCost = subtotal > FREE_SHIPPING_THRESHOLD ? 0 : FLAT_SHIPPING_COST;
+    const tax = Math.round(subtotal * TAX_RATE);
+    const total = subtotal + shippingCost + tax;
+
+    return { subtotal, shippingCost, tax, total };
+};
+
+// Recalculate line totals and order totals in place from order.items
+export const recalculateOrderTotals = (order) => {
+    order.items.forEach(item => {
+        item.total = item.price * item.quantity;
+    });
+
+    const subtotal = order.items.reduce((total, item) => total + item.total, 0);
+    Object.assign(order, calculateOrderTotals(subtotal));
+
+    return order;
+};
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+import Order from '../models/order.js';
+import { releaseExpiredReservations, cancelStaleUnpaidOrders } from './stockReservations.js';
+import { cancelUnconfirmedCodOrders } from './codVerification.js';
+import { processPendingPaymentWebhooks } from './paymentWebhooks.js';
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+// Background jobs run on every sweep, with the log line for a non-zero result
+const SWEEP_TASKS = [
+    { name: 'payment webhooks', run: processPendingPaymentWebhooks, message: count => `💳 Applied ${count} delayed payment webhook event(s)` },
+    { name: 'reservations', run: releaseExpiredReservations, message: count => `🔓 Released ${count} expired stock reservation(s)` },
+    { name: 'unpaid orders', run: cancelStaleUnpaidOrders, message: count => `🕒 Cancelled ${count} unpaid order(s) past their payment timeout` },
+    { name: 'unconfirmed COD orders', run: cancelUnconfirmedCodOrders, message: count => `📵 Cancelled ${count} COD order(s) not confirmed by phone` },
+    { name: 'order emails', run: () => Order.deliverPendingEmails(), message: count => `📧 Sent ${count} queued order email(s)` }
+];
+
+// Periodically release expired holds and cancel orders nobody is going to
+// pay for or confirm. Every task claims its work conditionally, so several
+// instances can sweep at the same time.
+export const startOrderSweeper = (intervalMs = SWEEP_INTERVAL_MS) => {
+    const timer = setInterval(async () => {
+        if (mongoose.connection.readyState !== 1) return;
+
+        for (const task of SWEEP_TASKS) {
+            try {
+                const count = await task.run();
+                if (count > 0) {
+                    console.log(task.message(count));
+                }
+            } catch (error) {
+                console.error(`Order sweep (${task.name}) failed:`, error.message);
+            }
+        }
+    }, intervalMs);
+
+    timer.unref();
+    return timer;
+};
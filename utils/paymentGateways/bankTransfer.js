@@ -0,0 +1,55 @@
+// Direct bank transfer. The customer is given the store's account details and
+// a reference to quote; the payment stays pending until the transfer is
+// reconciled and captured. Refunds are paid out manually.
+const bankTransferGateway = {
+    name: 'bank_transfer',
+
+    async initiate({ order, amount }) {
+        const reference = `BT-${order.orderNumber}`;
+
+        return {
+            status: 'pending',
+            reference,
+            message: 'Bank transfer initiated. Please complete the transfer.',
+            nextAction: {
+                type: 'bank_transfer',
+                bankName: process.env.BANK_NAME || '',
+                accountTitle: process.env.BANK_ACCOUNT_TITLE || '',
+                iban: process.env.BANK_IBAN || '',
+                amount,
+                reference
+            },
+            raw: { reference, amount }
+        };
+    },
+
+    async capture({ reference, amount }) {
+        return {
+            status: 'succeeded',
+            reference,
+            message: 'Bank transfer received',
+            raw: { reference, amount }
+        };
+    },
+
+    // Transfers are never authorized ahead of time
+    async void({ reference, amount }) {
+        return { status: 'succeeded', reference, message: 'Nothing to release', raw: { reference, amount } };
+    },
+
+    async refund({ order, amount }) {
+        return {
+            status: 'pending',
+            reference: `BT-REFUND-${order.orderNumber}`,
+            message: 'Refund will be transferred to your bank account',
+            raw: { amount }
+        };
+    },
+
+    // Transfers are reconciled from bank statements, not webhooks
+    async verifyWebhook() {
+        return null;
+    }
+};
+
+export default bankTransferGateway;
@@ -0,0 +1,42 @@
+// Cash collected by the courier. Nothing is charged up front; the payment is
+// captured when the order is delivered and refunds are paid out manually.
+const cashOnDeliveryGateway = {
+    name: 'cash_on_delivery',
+
+    async initiate({ amount }) {
+        return {
+            status: 'pending',
+            reference: null,
+            message: 'Payment will be collected on delivery',
+            raw: { amount }
+        };
+    },
+
+    async capture({ reference, amount }) {
+        return {
+            status: 'succeeded',
+            reference,
+            message: 'Cash collected on delivery',
+            raw: { amount }
+        };
+    },
+
+    async void({ reference, amount }) {
+        return { status: 'succeeded', reference, message: 'Nothing to release', raw: { amount } };
+    },
+
+    async refund({ amount }) {
+        return {
+            status: 'pending',
+            reference: null,
+            message: 'Refund will be paid out manually',
+            raw: { amount }
+        };
+    },
+
+    async verifyWebhook() {
+        return null;
+    }
+};
+
+export default cashOnDeliveryGateway;
@@ -0,0 +1,109 @@
+import stripeGateway from './stripe.js';
+import bankTransferGateway from './bankTransfer.js';
+import cashOnDeliveryGateway from './cashOnDelivery.js';
+import walletGateway from './wallet.js';
+import mockGateway from './mock.js';
+
+// Every gateway adapter implements the same five calls. Amounts are in PKR.
+//
+//   initiate({ order, amount, currency, details, session })
+//   capture({ order, reference, amount, session })
+//   void({ order, reference, amount, session })
+//       releases an authorized payment that will not be captured
+//   refund({ order, reference, amount, reason, session })
+//       -> { status, reference, message, raw, nextAction? }
+//          status is one of PAYMENT_RESULT_STATUSES; nextAction tells the
+//          client what to do for a pending payment (3-D Secure, bank details)
+//   verifyWebhook({ rawBody, headers })
+//       -> { id, type, reference, status, amount, raw } or null when the
+//          signature does not match
+//
+// Adapters throw on transport errors; a declined payment is a normal
+// result with status "failed".
+//
+// Adapters that keep the money in our own database (the wallet) set
+// settlesLocally; callers then run them inside the order's transaction and
+// pass its session. Other adapters never receive a session.
+export const PAYMENT_RESULT_STATUSES = ['succeeded', 'authorized', 'pending', 'failed'];
+
+// The mock gateway accepts any payment and anyone can produce its webhook
+// signatures, so it only exists outside production or when explicitly chosen
+// with PAYMENT_GATEWAY=mock
+const isMockEnabled = () => {
+    return process.env.PAYMENT_GATEWAY === 'mock' ||
+        ['development', 'test'].includes(process.env.NODE_ENV);
+};
+
+const GATEWAYS = {
+    stripe: stripeGateway,
+    bank_transfer: bankTransferGateway,
+    cash_on_delivery: cashOnDeliveryGateway,
+    wallet: walletGateway
+};
+
+const findGateway = (name) => {
+    if (name === 'mock') {
+        return isMockEnabled() ? mockGateway : null;
+    }
+    return Object.hasOwn(GATEWAYS, name) ? GATEWAYS[name] : null;
+};
+
+// Provider used for each order paymentMethod
+const DEFAULT_GATEWAYS = {
+    credit_card: 'stripe',
+    bank_transfer: 'bank_transfer',
+    cash_on_delivery: 'cash_on_delivery',
+    wallet: 'wallet'
+};
+
+// Gateway name for a payment method. PAYMENT_GATEWAY_<METHOD> overrides one
+// method (e.g. PAYMENT_GATEWAY_CREDIT_CARD=mock); PAYMENT_GATEWAY=mock
+// switches every external provider to the mock gateway for local development
+// and tests. Methods settled locally, like the wallet, keep their own adapter.
+export const getGatewayName = (paymentMethod) => {
+    if (!Object.hasOwn(DEFAULT_GATEWAYS, paymentMethod)) return null;
+    const defaultName = DEFAULT_GATEWAYS[paymentMethod];
+
+    const useMock = process.env.PAYMENT_GATEWAY === 'mock' && !GATEWAYS[defaultName].settlesLocally;
+    return process.env[`PAYMENT_GATEWAY_${paymentMethod.toUpperCase()}`] ||
+        (useMock ? 'mock' : defaultName);
+};
+
+// Adapter for an order paymentMethod, or null if the method is unknown
+export const getGateway = (paymentMethod) => {
+    const name = getGatewayName(paymentMethod);
+    if (!name) return null;
+
+    const gateway = findGateway(name);
+    if (!gateway) {
+        throw new Error(`Unknown payment gateway "${name}" for ${paymentMethod}`);
+    }
+    return gateway;
+};
+
+// Where a refund can be paid out: back through the order's own payment
+// method, or into the customer's wallet as store credit
+export const REFUND_DESTINATIONS = ['original', 'wallet'];
+
+// Adapter a refund is paid out through (see REFUND_DESTINATIONS)
+export const getRefundGateway = (order, refundTo = 'original') => {
+    return refundTo === 'wallet' ? GATEWAYS.wallet : getGateway(order.paymentMethod);
+};
+
+// Adapter by provider name, e.g. for webhooks addressed to /webhook/stripe
+export const getGatewayByName = (name) => findGateway(name);
+
+// Order paymentMethods currently handled by the named gateway
+export const getPaymentMethodsForGateway = (name) => {
+    return Object.keys(DEFAULT_GATEWAYS).filter(method => getGatewayName(method) === name);
+};
+
+// Add or replace a provider adapter
+export const registerGateway = (name, gateway) => {
+    for (const method of ['initiate', 'capture', 'void', 'refund', 'verifyWebhook']) {
+        if (typeof gateway[method] !== 'function') {
+            throw new Error(`Payment gateway ${name} must implement ${method}()`);
+        }
+    }
+    GATEWAYS[name] = { ...gateway, name };
+};
@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+
+// Deterministic stand-in for a card processor. The outcome comes from
+// details.outcome ("succeed", "fail" or "pending") or, like the test cards of
+// real processors, from the card number:
+//   4000 0000 0000 0002  -> declined
+//   4000 0000 0000 3220  -> pending (needs customer action)
+//   anything else        -> succeeds
+// References are derived from the order, so the same input always gives the
+// same result. Webhooks are signed with MOCK_GATEWAY_WEBHOOK_SECRET; without
+// it every webhook is rejected. Only reachable when paymentGateways/index.js
+// enables the mock gateway.
+const DECLINED_CARD = '4000000000000002';
+const PENDING_CARD = '4000000000003220';
+
+const getOutcome = (details = {}) => {
+    if (['succeed', 'fail', 'pending'].includes(details.outcome)) {
+        return details.outcome;
+    }
+
+    const cardNumber = String(details.cardNumber || '').replace(/\D/g, '');
+    if (cardNumber === DECLINED_CARD) return 'fail';
+    if (cardNumber === PENDING_CARD) return 'pending';
+    return 'succeed';
+};
+
+const getWebhookSecret = () => process.env.MOCK_GATEWAY_WEBHOOK_SECRET;
+
+// Sign a webhook body the way verifyWebhook expects (for local fixtures)
+export const signMockWebhook = (rawBody) => {
+    const secret = getWebhookSecret();
+    if (!secret) {
+        throw new Error('MOCK_GATEWAY_WEBHOOK_SECRET is not set');
+    }
+    return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+};
+
+const mockGateway = {
+    name: 'mock',
+
+    async initiate({ order, amount, details }) {
+        const reference = `mock_pay_${order._id}`;
+        const outcome = getOutcome(details);
+        const raw = { reference, amount, outcome };
+
+        if (outcome === 'fail') {
+            return { status: 'failed', reference, message: 'Card declined', raw };
+        }
+
+        if (outcome === 'pending') {
+            return {
+                status: 'pending',
+                reference,
+                message: 'Payment requires confirmation',
+                nextAction: { type: 'confirm', reference },
+                raw
+            };
+        }
+
+        return { status: 'authorized', reference, message: 'Payment authorized', raw };
+    },
+
+    async capture({ reference, amount }) {
+        return {
+            status: 'succeeded',
+            reference,
+            message: 'Payment processed successfully',
+            raw: { reference, amount, captured: true }
+        };
+    },
+
+    async void({ reference, amount }) {
+        return {
+            status: 'succeeded',
+            reference,
+            message: 'Authorization released',
+            raw: { reference, amount, voided: true }
+        };
+    },
+
+    async refund({ order, amount }) {
+        const reference = `mock_refund_${order._id}_${amount}`;
+        return {
+            status: 'succeeded',
+            reference,
+            message: 'Refund processed successfully',
+            raw: { reference, amount }
+        };
+    },
+
+    // Body: { id, type, reference, status, amount }; header X-Mock-Signature
+    async verifyWebhook({ rawBody, headers }) {
+        const signature = headers['x-mock-signature'];
+        if (!getWebhookSecret() || !rawBody || !signature) return null;
+
+        const expected = Buffer.from(signMockWebhook(rawBody), 'hex');
+        const received = Buffer.from(String(signature), 'hex');
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            return null;
+        }
+
+        const event = JSON.parse(rawBody.toString());
+        return {
+            id: event.id,
+            type: event.type,
+            reference: event.reference,
+            status: event.status,
+            amount: event.amount,
+            raw: event
+        };
+    }
+};
+
+export default mockGateway;
@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+
+// Card payments through Stripe PaymentIntents. The client tokenizes the card
+// with Stripe.js and sends only details.paymentMethodId; card numbers never
+// reach this server. Payments are authorized first and captured separately.
+const API_URL = 'https://api.stripe.com/v1';
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+// Stripe amounts are in the smallest currency unit
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+
+const stripeRequest = async (path, params) => {
+    const secretKey = process.env.STRIPE_SECRET_KEY;
+    if (!secretKey) {
+        throw new Error('STRIPE_SECRET_KEY is not configured');
+    }
+
+    const response = await fetch(`${API_URL}${path}`, {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${secretKey}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams(params).toString()
+    });
+    const body = await response.json();
+
+    // Card errors are declines, anything else is a failure to talk to Stripe
+    if (!response.ok && body.error?.type !== 'card_error') {
+        throw new Error(`Stripe request failed: ${body.error?.message || response.status}`);
+    }
+    return body;
+};
+
+// Map a PaymentIntent (or card error) onto a gateway result
+const toResult = (body, successMessage) => {
+    if (body.error) {
+        return {
+            status: 'failed',
+            reference: body.error.payment_intent?.id,
+            message: body.error.message || 'Card declined',
+            raw: body
+        };
+    }
+
+    switch (body.status) {
+        case 'succeeded':
+            return { status: 'succeeded', reference: body.id, message: successMessage, raw: body };
+        case 'requires_capture':
+            return { status: 'authorized', reference: body.id, message: 'Payment authorized', raw: body };
+        case 'requires_action':
+        case 'processing':
+            return {
+                status: 'pending',
+                reference: body.id,
+                message: 'Payment requires confirmation',
+                nextAction: body.client_secret ? { type: 'stripe_confirm', clientSecret: body.client_secret } : undefined,
+                raw: body
+            };
+        default:
+            return {
+                status: 'failed',
+                reference: body.id,
+                message: body.last_payment_error?.message || 'Payment failed',
+                raw: body
+            };
+    }
+};
+
+const stripeGateway = {
+    name: 'stripe',
+
+    async initiate({ order, amount, currency = 'PKR', details = {} }) {
+        if (!details.paymentMethodId) {
+            return { status: 'failed', message: 'Card payment method is required', raw: null };
+        }
+
+        const body = await stripeRequest('/payment_intents', {
+            amount: toMinorUnits(amount),
+            currency: currency.toLowerCase(),
+            payment_method: details.paymentMethodId,
+            capture_method: 'manual',
+            confirm: 'true',
+            'metadata[orderId]': String(order._id),
+            'metadata[orderNumber]': order.orderNumber,
+            'automatic_payment_methods[enabled]': 'true',
+            'automatic_payment_methods[allow_redirects]': 'never'
+        });
+        return toResult(body, 'Payment processed successfully');
+    },
+
+    async capture({ reference, amount }) {
+        const body = await stripeRequest(`/payment_intents/${reference}/capture`, {
+            amount_to_capture: toMinorUnits(amount)
+        });
+        return toResult(body, 'Payment processed successfully');
+    },
+
+    async void({ reference }) {
+        const body = await stripeRequest(`/payment_intents/${reference}/cancel`, {});
+        return body.status === 'canceled'
+            ? { status: 'succeeded', reference: body.id, message: 'Authorization released', raw: body }
+            : { status: 'failed', reference: body.id, message: 'Authorization could not be released', raw: body };
+    },
+
+    async refund({ reference, amount, reason }) {
+        const body = await stripeRequest('/refunds', {
+            payment_intent: reference,
+            amount: toMinorUnits(amount),
+            'metadata[reason]': reason || ''
+        });
+
+        const status = { succeeded: 'succeeded', pending: 'pending' }[body.status] || 'failed';
+        return {
+            status,
+            reference: body.id,
+            message: status === 'failed' ? 'Refund failed' : 'Refund processed successfully',
+            raw: body
+        };
+    },
+
+    // Stripe-Signature: t=<timestamp>,v1=<HMAC-SHA256 of "t.rawBody">
+    async verifyWebhook({ rawBody, headers }) {
+        const secret = process.env.STRIPE_WEBHOOK_SECRET;
+        const header = headers['stripe-signature'];
+        if (!secret || !rawBody || !header) return null;
+
+        const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+        const timestamp = parseInt(parts.t);
+        if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+            return null;
+        }
+
+        const expected = Buffer.from(
+            crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex'),
+            'hex'
+        );
+        const received = Buffer.from(parts.v1 || '', 'hex');
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            return null;
+        }
+
+        const event = JSON.parse(rawBody.toString());
+        const intent = event.data?.object || {};
+        const status = {
+            'payment_intent.succeeded': 'succeeded',
+            'payment_intent.amount_capturable_updated': 'authorized',
+            'payment_intent.payment_failed': 'failed',
+            'payment_intent.canceled': 'failed',
+            // Partial refunds also send charge.refunded; only a full one counts
+            'charge.refunded': intent.refunded ? 'refunded' : undefined
+        }[event.type];
+
+        return {
+            id: event.id,
+            type: event.type,
+            reference: intent.payment_intent || intent.id,
+            status,
+            amount: intent.amount !== undefined ? intent.amount / 100 : undefined,
+            raw: event
+        };
+    }
+};
+
+export default stripeGateway;
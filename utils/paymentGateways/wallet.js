@@ -0,0 +1,72 @@
+import Wallet from '../../models/wallet.js';
+
+// Payments from the customer's store wallet. The balance lives in our own
+// database, so the adapter takes the caller's session and the wallet movement
+// commits or rolls back together with the order update.
+const walletGateway = {
+    name: 'wallet',
+    settlesLocally: true,
+
+    async initiate({ order, amount, session }) {
+        const reference = `WALLET_${order._id}`;
+
+        if (!order.user) {
+            return { status: 'failed', reference: null, message: 'Guest orders cannot be paid from a wallet', raw: {} };
+        }
+
+        const debit = await Wallet.debit(order.user, amount, {
+            source: 'order_payment',
+            order: order._id,
+            description: `Payment for order #${order.orderNumber}`
+        }, session);
+
+        if (!debit) {
+            const walletBalance = await Wallet.getBalance(order.user, session);
+            return { status: 'failed', reference: null, message: 'Insufficient wallet balance', raw: { walletBalance } };
+        }
+
+        return {
+            status: 'succeeded',
+            reference,
+            message: 'Payment processed from wallet',
+            raw: { reference, amount, walletTransactionId: debit.transaction._id, walletBalance: debit.wallet.balance }
+        };
+    },
+
+    // Wallet payments settle in initiate(); nothing is left to capture
+    async capture({ reference, amount }) {
+        return { status: 'succeeded', reference, message: 'Payment processed from wallet', raw: { reference, amount } };
+    },
+
+    async void({ reference, amount }) {
+        return { status: 'succeeded', reference, message: 'Nothing to release', raw: { reference, amount } };
+    },
+
+    async refund({ order, amount, reason, session }) {
+        if (!order.user) {
+            return { status: 'failed', reference: null, message: 'Guest orders cannot be refunded to a wallet', raw: {} };
+        }
+
+        const credit = await Wallet.credit(order.user, amount, {
+            source: 'refund',
+            order: order._id,
+            description: reason
+                ? `Refund for order #${order.orderNumber}: ${reason}`
+                : `Refund for order #${order.orderNumber}`
+        }, session);
+
+        const reference = `WALLET_REFUND_${credit.transaction._id}`;
+        return {
+            status: 'succeeded',
+            reference,
+            message: 'Refund credited to wallet',
+            raw: { reference, amount, walletTransactionId: credit.transaction._id, walletBalance: credit.wallet.balance }
+        };
+    },
+
+    async verifyWebhook() {
+        return null;
+    }
+};
+
+export default walletGateway;
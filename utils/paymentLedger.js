@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+import Order from '../models/order.js';
+import PaymentTransaction from '../models/paymentTransaction.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Call a gateway operation and record the outcome in the payment ledger,
+// whether it succeeds, fails or the provider cannot be reached.
+// `operation` is one of initiate, capture, void or refund; `params` go to the adapter.
+// A session is only handed to adapters that settle locally (see
+// paymentGateways/index.js); the ledger entry is written in it as well.
+// Returns { result, transaction }; throws a 502 AppError when the call throws.
+export const callGateway = async (gateway, operation, params, { type, reason, actor, session = null } = {}) => {
+    const { order, amount } = params;
+    const entry = {
+        order: order._id,
+        user: order.user,
+        type: type || (operation === 'initiate' ? 'payment' : operation),
+        amount,
+        currency: params.currency || 'PKR',
+        method: order.paymentMethod,
+        gateway: gateway.name,
+        reason,
+        createdBy: actor
+    };
+
+    const localSession = gateway.settlesLocally ? session : null;
+
+    let result;
+    try {
+        result = await gateway[operation]({ ...params, session: localSession });
+    } catch (error) {
+        // Local adapters only fail on database errors; let the transaction
+        // see them so it can retry or roll back
+        if (gateway.settlesLocally) throw error;
+
+        console.error(`Payment gateway ${gateway.name} ${operation} error:`, error.message);
+        await PaymentTransaction.create({
+            ...entry,
+            status: 'failed',
+            reference: params.reference,
+            message: error.message
+        });
+        throw new AppError('Payment provider is unavailable. Please try again.', 502);
+    }
+
+    const [transaction] = await PaymentTransaction.create([{
+        ...entry,
+        status: result.status,
+        reference: result.reference || params.reference,
+        message: result.message,
+        rawResponse: result.raw
+    }], { session: localSession });
+
+    return { result, transaction };
+};
+
+// Claim an order's card authorization before capturing or voiding it, so the
+// payment request and the provider's webhook never both act on it. Only an
+// unpaid order can be claimed; it stays "capturing" until the claimant records
+// the outcome. Returns true when this caller holds the claim.
+export const claimAuthorization = async (order, reference, session = null) => {
+    const claimed = await Order.updateOne(
+        { _id: order._id, paymentStatus: { $in: ['pending', 'failed'] } },
+        { paymentStatus: 'capturing', paymentTransactionId: reference },
+        { session }
+    );
+    return claimed.modifiedCount > 0;
+};
+
+// Give up a claim whose capture did not go through, so it can be tried again
+export const releaseAuthorization = (order, paymentStatus = 'pending') => {
+    return Order.updateOne(
+        { _id: order._id, paymentStatus: 'capturing' },
+        { paymentStatus }
+    );
+};
+
+// Pay back what is left of a paid order through `gateway` and mark the order
+// refunded, without saving it. The order's status is left to the caller.
+// A pending refund (bank and cash payouts, a card refund still processing)
+// only marks the payment "refund_pending"; refundedAmount grows once it is
+// paid out, through the provider's webhook or an admin's payment status update.
+// Returns { amount, result, transaction }; throws an AppError if the gateway
+// declines the refund.
+export const refundOrderPayment = async (order, gateway, { reason, actor, session = null } = {}) => {
+    const amount = order.total - (order.refundedAmount || 0);
+
+    const { result, transaction } = await callGateway(gateway, 'refund', {
+        order,
+        reference: order.paymentTransactionId,
+        amount,
+        reason
+    }, { reason, actor, session });
+
+    if (result.status === 'failed') {
+        throw new AppError(result.message || 'Refund failed', 400);
+    }
+
+    if (result.status === 'pending') {
+        order.paymentStatus = 'refund_pending';
+    } else {
+        order.paymentStatus = 'refunded';
+        order.refundedAmount = (order.refundedAmount || 0) + amount;
+    }
+
+    return { amount, result, transaction };
+};
+
+// Refund a paid order in full and move it to "refunded"; a cancelled order
+// (whose refund failed at cancellation) keeps its status. Refunds into the
+// wallet commit together with the order update, like wallet payments; the
+// order is re-read inside a retried transaction.
+// Returns { order, amount, result, transaction }.
+export const refundOrder = async (order, gateway, { reason, actor = {} } = {}) => {
+    const cancelled = order.status === 'cancelled';
+
+    const settle = async (session = null) => {
+        const current = session ? await Order.findById(order._id).session(session) : order;
+        if (current.paymentStatus !== 'paid') {
+            throw new AppError('Order has already been refunded', 409);
+        }
+
+        const refund = await refundOrderPayment(current, gateway, { reason, actor: actor.user, session });
+        if (!cancelled) {
+            current.transitionStatus('refunded', '', actor);
+        }
+        await current.save({ session });
+
+        return { order: current, ...refund };
+    };
+
+    if (!gateway.settlesLocally) {
+        return settle();
+    }
+
+    let refund;
+    await mongoose.connection.transaction(async (session) => {
+        refund = await settle(session);
+    });
+    return refund;
+};
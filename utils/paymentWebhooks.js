@@ -0,0 +1,272 @@
+import mongoose from 'mongoose';
+import Order from '../models/order.js';
+import PaymentTransaction from '../models/paymentTransaction.js';
+import PaymentWebhookEvent from '../models/paymentWebhookEvent.js';
+import { convertReservation } from './stockReservations.js';
+import { getGatewayByName, getPaymentMethodsForGateway } from './paymentGateways/index.js';
+import { callGateway, claimAuthorization, releaseAuthorization } from './paymentLedger.js';
+
+// Events that keep failing to apply are parked for an admin to look at
+const MAX_ATTEMPTS = 5;
+
+// Leave fresh events to the request that received them before the sweeper
+// retries them
+const RETRY_DELAY_MS = 60 * 1000;
+
+const SYSTEM_ACTOR = { role: 'system' };
+
+// The order an event belongs to. Every reference a gateway has handed us is in
+// the ledger; orders paid before the ledger existed only have it on the order,
+// and then only orders paid through this provider may match.
+const findOrderForEvent = async (event, session) => {
+    const transaction = await PaymentTransaction.findOne({
+        gateway: event.provider,
+        reference: event.reference
+    }).session(session);
+
+    if (transaction) {
+        return Order.findById(transaction.order).session(session);
+    }
+
+    const paymentMethods = getPaymentMethodsForGateway(event.provider);
+    if (paymentMethods.length === 0) return null;
+
+    return Order.findOne({
+        paymentTransactionId: event.reference,
+        paymentMethod: { $in: paymentMethods }
+    }).session(session);
+};
+
+// Reasons a successful payment cannot be applied to the order, or null
+const getPaidOrderConflict = (order) => {
+    if (['paid', 'refund_pending', 'refunded'].includes(order.paymentStatus)) return 'Order is already paid';
+    if (order.status === 'cancelled') return 'Order was cancelled before the payment arrived';
+    return null;
+};
+
+// Mark the order paid, confirm it and make its stock hold permanent
+const markOrderPaid = async (order, session) => {
+    order.paymentStatus = 'paid';
+    if (order.status === 'pending') {
+        order.transitionStatus('confirmed', 'Payment confirmed by provider', SYSTEM_ACTOR);
+    }
+    await convertReservation(order._id, session);
+};
+
+// Capture a payment the provider reports as authorized (e.g. a card after
+// 3-D Secure). Runs before, and outside, the event's transaction so a retried
+// transaction never captures twice; callGateway records the capture in the
+// ledger. The authorization is claimed first, so a payment request capturing
+// it at the same time is left to finish. Returns the capture result, or null
+// when there is nothing to capture.
+const captureAuthorizedPayment = async (event) => {
+    const order = event.reference ? await findOrderForEvent(event, null) : null;
+    if (!order || getPaidOrderConflict(order)) return null;
+
+    // Captured on an earlier try whose order update did not commit
+    const captured = await PaymentTransaction.exists({
+        order: order._id,
+        reference: event.reference,
+        type: 'capture',
+        status: 'succeeded'
+    });
+    if (captured) {
+        return { status: 'succeeded', reference: event.reference, message: 'Payment already captured' };
+    }
+
+    if (!await claimAuthorization(order, event.reference)) {
+        return { status: 'skipped', message: 'another request is capturing this payment' };
+    }
+
+    const gateway = getGatewayByName(event.provider);
+    let result;
+    try {
+        ({ result } = await callGateway(gateway, 'capture', {
+            order,
+            reference: event.reference,
+            amount: order.total
+        }));
+    } catch (error) {
+        await releaseAuthorization(order);
+        throw error;
+    }
+
+    // A pending capture keeps the claim until the provider confirms it
+    if (result.status === 'failed') {
+        await releaseAuthorization(order);
+    }
+    return result;
+};
+
+// Apply a provider's payment outcome to the order without saving it.
+// `capture` is the result of captureAuthorizedPayment for authorized events.
+// Returns { ignored, ledger } where ledger is the entry to record, if any.
+const applyPaymentEvent = async (order, event, session, capture) => {
+    const ledger = {
+        order: order._id,
+        user: order.user,
+        currency: 'PKR',
+        method: order.paymentMethod,
+        gateway: event.provider,
+        reference: event.reference,
+        message: `Webhook ${event.type}`,
+        rawResponse: event.payload
+    };
+
+    switch (event.paymentStatus) {
+        case 'succeeded': {
+            if (['paid', 'refund_pending', 'refunded'].includes(order.paymentStatus)) {
+                return { ignored: getPaidOrderConflict(order) };
+            }
+
+            const captured = {
+                ...ledger,
+                type: 'capture',
+                status: 'succeeded',
+                amount: event.amount ?? order.total
+            };
+
+            // The money still arrived, so the ledger keeps it for a manual refund
+            if (order.status === 'cancelled') {
+                return { ignored: getPaidOrderConflict(order), ledger: captured };
+            }
+
+            await markOrderPaid(order, session);
+            return { ledger: captured };
+        }
+
+        // Captured by captureAuthorizedPayment, which already wrote the ledger row
+        case 'authorized': {
+            const conflict = getPaidOrderConflict(order);
+            if (conflict) {
+                return { ignored: conflict };
+            }
+
+            if (!capture || capture.status !== 'succeeded') {
+                return { ignored: `Capture ${capture ? capture.status : 'not attempted'}: ${capture?.message || ''}`.trim() };
+            }
+
+            await markOrderPaid(order, session);
+            return {};
+        }
+
+        case 'failed': {
+            if (order.paymentStatus !== 'pending') {
+                return { ignored: `Order payment is already ${order.paymentStatus}` };
+            }
+
+            order.paymentStatus = 'failed';
+            return {
+                ledger: { ...ledger, type: 'payment', status: 'failed', amount: event.amount ?? order.total }
+            };
+        }
+
+        // Also completes a refund we started that the provider left pending
+        case 'refunded': {
+            if (!['paid', 'refund_pending'].includes(order.paymentStatus)) {
+                return { ignored: `Order payment is ${order.paymentStatus}` };
+            }
+
+            const amount = order.total - (order.refundedAmount || 0);
+            order.refundedAmount = order.total;
+            order.paymentStatus = 'refunded';
+            if (order.canTransitionTo('refunded')) {
+                order.transitionStatus('refunded', 'Refunded by payment provider', SYSTEM_ACTOR);
+            }
+
+            return {
+                ledger: { ...ledger, type: 'refund', status: 'succeeded', amount }
+            };
+        }
+
+        default:
+            return { ignored: `Nothing to update for a ${event.paymentStatus || 'unknown'} event` };
+    }
+};
+
+// Apply a stored webhook event to its order. The event is claimed inside the
+// transaction, so two workers applying the same event conflict and only one
+// commits. Failures leave the event "received" for the sweeper to retry.
+// Returns the event's new status, or null if someone else already handled it.
+export const processPaymentWebhookEvent = async (eventId) => {
+    let outcome = null;
+
+    try {
+        const pending = await PaymentWebhookEvent.findOne({ _id: eventId, status: 'received' });
+        if (!pending) return null;
+
+        const capture = pending.paymentStatus === 'authorized'
+            ? await captureAuthorizedPayment(pending)
+            : null;
+
+        await mongoose.connection.transaction(async (session) => {
+            outcome = null;
+
+            const event = await PaymentWebhookEvent.findOneAndUpdate(
+                { _id: eventId, status: 'received' },
+                { $inc: { attempts: 1 } },
+                { new: true, session }
+            );
+            if (!event) return;
+
+            const order = event.reference ? await findOrderForEvent(event, session) : null;
+            let result;
+            if (!order) {
+                result = { ignored: 'No order found for this payment reference' };
+            } else {
+                result = await applyPaymentEvent(order, event, session, capture);
+                await order.save({ session });
+            }
+
+            if (result.ledger) {
+                await PaymentTransaction.create([result.ledger], { session });
+            }
+
+            event.status = result.ignored ? 'ignored' : 'processed';
+            event.note = result.ignored;
+            event.order = order?._id;
+            event.processedAt = new Date();
+            await event.save({ session });
+
+            outcome = event.status;
+        });
+    } catch (error) {
+        // Count the failed attempt outside the aborted transaction
+        const event = await PaymentWebhookEvent.findOneAndUpdate(
+            { _id: eventId, status: 'received' },
+            { $inc: { attempts: 1 }, lastError: error.message },
+            { new: true }
+        );
+        if (event && event.attempts >= MAX_ATTEMPTS) {
+            event.status = 'failed';
+            await event.save();
+        }
+        throw error;
+    }
+
+    return outcome;
+};
+
+// Retry webhook events that have not been applied yet.
+// Returns the number of events processed or ignored.
+export const processPendingPaymentWebhooks = async (batchSize = 100) => {
+    const events = await PaymentWebhookEvent.find({
+        status: 'received',
+        createdAt: { $lte: new Date(Date.now() - RETRY_DELAY_MS) }
+    })
+        .select('_id')
+        .sort({ createdAt: 1 })
+        .limit(batchSize);
+
+    let handled = 0;
+    for (const { _id } of events) {
+        try {
+            if (await processPaymentWebhookEvent(_id)) {
+                handled++;
+            }
+        } catch (error) {
+            console.error(`Payment webhook event ${_id} failed:`, error.message);
+        }
+    }
+    return handled;
+};
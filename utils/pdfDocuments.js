@@ -0,0 +1,259 @@
+import PDFDocument from 'pdfkit';
+import bwipjs from 'bwip-js';
+
+const STORE_NAME = process.env.STORE_NAME || 'E-Process';
+const STORE_ADDRESS = process.env.STORE_ADDRESS || '';
+const STORE_EMAIL = process.env.STORE_EMAIL || '';
+
+const PAYMENT_METHOD_LABELS = {
+    cash_on_delivery: 'Cash on Delivery',
+    credit_card: 'Credit/Debit Card',
+    bank_transfer: 'Bank Transfer',
+    wallet: 'Wallet'
+};
+
+const PAYMENT_STATUS_LABELS = {
+    pending: 'Payment Pending',
+    paid: 'Paid',
+    failed: 'Payment Failed',
+    refunded: 'Refunded'
+};
+
+const PAGE_MARGIN = 50;
+
+// 4x6 inch thermal shipping label
+const LABEL_SIZE = [288, 432];
+const LABEL_MARGIN = 18;
+
+const formatMoney = (amount) => `PKR ${Number(amount || 0).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+})}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC'
+});
+
+const itemName = (item) => item.name || item.product?.name || 'Product';
+
+const addressLines = (address) => [
+    `${address.firstName} ${address.lastName}`,
+    address.street,
+    `${address.city}, ${address.state} ${address.zipCode}`,
+    address.country,
+    address.phone,
+    address.email
+].filter(Boolean);
+
+// Render a Code 128 barcode (with the text underneath) as a PNG buffer
+const renderBarcode = (text) => bwipjs.toBuffer({
+    bcid: 'code128',
+    text,
+    scale: 3,
+    height: 12,
+    includetext: true,
+    textxalign: 'center'
+});
+
+// Create a PDF piped to the response as a download. Fixing the creation date
+// keeps the bytes identical between reprints of the same document.
+const createPdfResponse = (res, filename, createdAt = new Date()) => {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        info: {
+            Title: filename.replace(/\.pdf$/, ''),
+            Author: STORE_NAME,
+            CreationDate: new Date(createdAt)
+        }
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    doc.pipe(res);
+
+    return doc;
+};
+
+const drawStoreHeader = (doc, title) => {
+    doc.font('Helvetica-Bold').fontSize(20).text(STORE_NAME, PAGE_MARGIN, PAGE_MARGIN);
+    doc.font('Helvetica').fontSize(9).fillColor('#555555');
+    if (STORE_ADDRESS) doc.text(STORE_ADDRESS);
+    if (STORE_EMAIL) doc.text(STORE_EMAIL);
+
+    doc.fillColor('#000000').font('Helvetica-Bold').fontSize(16)
+        .text(title, PAGE_MARGIN, PAGE_MARGIN, { align: 'right' });
+    doc.font('Helvetica').fontSize(10);
+};
+
+// Draw a simple table; columns are { header, width, align, value(row) }
+const drawTable = (doc, columns, rows, startY) => {
+    const tableWidth = doc.page.width - PAGE_MARGIN * 2;
+    let y = startY;
+
+    const drawRow = (cells, font) => {
+        let x = PAGE_MARGIN;
+        let rowHeight = 0;
+        doc.font(font).fontSize(10);
+        columns.forEach((column, index) => {
+            const height = doc.heightOfString(cells[index], { width: column.width - 8 });
+            rowHeight = Math.max(rowHeight, height);
+        });
+
+        if (y + rowHeight > doc.page.height - PAGE_MARGIN) {
+            doc.addPage();
+            y = PAGE_MARGIN;
+        }
+
+        columns.forEach((column, index) => {
+            doc.text(cells[index], x + 4, y, { width: column.width - 8, align: column.align || 'left' });
+            x += column.width;
+        });
+        y += rowHeight + 6;
+        doc.moveTo(PAGE_MARGIN, y - 3).lineTo(PAGE_MARGIN + tableWidth, y - 3)
+            .strokeColor('#dddddd').stroke();
+    };
+
+    drawRow(columns.map(column => column.header), 'Helvetica-Bold');
+    rows.forEach(row => drawRow(columns.map(column => String(column.value(row))), 'Helvetica'));
+
+    doc.font('Helvetica');
+    return y;
+};
+
+// Stream an invoice PDF for an order that already has an invoice number.
+// Lines and totals come from the snapshot taken when it was issued; invoices
+// issued before snapshots existed fall back to the order itself.
+export const sendInvoicePdf = (res, order) => {
+    const invoice = order.invoiceSnapshot || order;
+    const doc = createPdfResponse(res, `invoice-${order.invoiceNumber}.pdf`, order.invoicedAt);
+
+    drawStoreHeader(doc, 'INVOICE');
+
+    doc.text(`Invoice No: ${order.invoiceNumber}`, { align: 'right' });
+    doc.text(`Invoice Date: ${formatDate(order.invoicedAt)}`, { align: 'right' });
+    doc.text(`Order No: #${order.orderNumber}`, { align: 'right' });
+    doc.text(`Order Date: ${formatDate(order.createdAt)}`, { align: 'right' });
+
+    const detailsY = 150;
+    doc.font('Helvetica-Bold').text('Bill To / Ship To', PAGE_MARGIN, detailsY);
+    doc.font('Helvetica').text(addressLines(invoice.shippingAddress).join('\n'), PAGE_MARGIN, detailsY + 15, { width: 250 });
+
+    doc.font('Helvetica-Bold').text('Payment', 330, detailsY);
+    doc.font('Helvetica').text([
+        `Method: ${PAYMENT_METHOD_LABELS[invoice.paymentMethod] || invoice.paymentMethod}`,
+        `Status: ${PAYMENT_STATUS_LABELS[order.paymentStatus] || order.paymentStatus}`
+    ].join('\n'), 330, detailsY + 15, { width: 215 });
+
+    const columns = [
+        { header: 'Item', width: 245, value: itemName },
+        { header: 'Qty', width: 50, align: 'right', value: item => item.quantity },
+        { header: 'Price', width: 100, align: 'right', value: item => formatMoney(item.price) },
+        { header: 'Total', width: 100, align: 'right', value: item => formatMoney(item.total) }
+    ];
+    let y = drawTable(doc, columns, invoice.items, 270) + 10;
+
+    const totals = [
+        ['Subtotal', invoice.subtotal],
+        ['Shipping', invoice.shippingCost],
+        ['Tax', invoice.tax],
+        ['Total', invoice.total]
+    ];
+    totals.forEach(([label, amount], index) => {
+        doc.font(index === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica');
+        doc.text(label, 345, y, { width: 100, align: 'right' });
+        doc.text(formatMoney(amount), 445, y, { width: 100, align: 'right' });
+        y += 16;
+    });
+
+    doc.font('Helvetica').fontSize(8).fillColor('#777777')
+        .text('This is a computer-generated invoice and does not require a signature.', PAGE_MARGIN, y + 30, { align: 'center' });
+
+    doc.end();
+};
+
+// Stream one packing slip page per order: items and quantities, no prices
+export const sendPackingSlipsPdf = async (res, orders) => {
+    const barcodes = await Promise.all(orders.map(order => renderBarcode(order.orderNumber)));
+    const doc = createPdfResponse(res, `packing-slips-${Date.now()}.pdf`);
+
+    orders.forEach((order, index) => {
+        if (index > 0) doc.addPage();
+
+        drawStoreHeader(doc, 'PACKING SLIP');
+        doc.text(`Order No: #${order.orderNumber}`, { align: 'right' });
+        doc.text(`Order Date: ${formatDate(order.createdAt)}`, { align: 'right' });
+        doc.image(barcodes[index], doc.page.width - PAGE_MARGIN - 180, doc.y + 5, { fit: [180, 50], align: 'right' });
+
+        const detailsY = 170;
+        doc.font('Helvetica-Bold').text('Ship To', PAGE_MARGIN, detailsY);
+        doc.font('Helvetica').text(addressLines(order.shippingAddress).join('\n'), PAGE_MARGIN, detailsY + 15, { width: 250 });
+
+        const columns = [
+            { header: 'Item', width: 395, value: itemName },
+            { header: 'Qty', width: 100, align: 'right', value: item => item.quantity }
+        ];
+        const y = drawTable(doc, columns, order.items, 290);
+
+        const totalUnits = order.items.reduce((total, item) => total + item.quantity, 0);
+        doc.font('Helvetica-Bold').text(`Total units: ${totalUnits}`, PAGE_MARGIN, y + 10, { align: 'right' });
+
+        if (order.notes) {
+            doc.font('Helvetica-Bold').text('Notes', PAGE_MARGIN, y + 40);
+            doc.font('Helvetica').text(order.notes, PAGE_MARGIN, y + 55, { width: 495 });
+        }
+    });
+
+    doc.end();
+};
+
+// Stream one 4x6 address label per order with the order number as a barcode
+export const sendShippingLabelsPdf = async (res, orders) => {
+    const barcodes = await Promise.all(orders.map(order => renderBarcode(order.orderNumber)));
+    const doc = new PDFDocument({
+        size: LABEL_SIZE,
+        margin: LABEL_MARGIN,
+        autoFirstPage: false,
+        info: { Title: 'Shipping labels', Author: STORE_NAME }
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="shipping-labels-${Date.now()}.pdf"`);
+    doc.pipe(res);
+
+    const contentWidth = LABEL_SIZE[0] - LABEL_MARGIN * 2;
+
+    orders.forEach((order, index) => {
+        doc.addPage();
+
+        doc.font('Helvetica').fontSize(8).text('FROM', LABEL_MARGIN, LABEL_MARGIN);
+        doc.font('Helvetica-Bold').fontSize(10).text(STORE_NAME);
+        if (STORE_ADDRESS) doc.font('Helvetica').fontSize(9).text(STORE_ADDRESS, { width: contentWidth });
+
+        doc.moveTo(LABEL_MARGIN, 95).lineTo(LABEL_MARGIN + contentWidth, 95).stroke();
+
+        const { shippingAddress: address } = order;
+        doc.font('Helvetica').fontSize(8).text('SHIP TO', LABEL_MARGIN, 105);
+        doc.font('Helvetica-Bold').fontSize(14)
+            .text(`${address.firstName} ${address.lastName}`, { width: contentWidth });
+        doc.font('Helvetica').fontSize(12).text([
+            address.street,
+            `${address.city}, ${address.state} ${address.zipCode}`,
+            address.country,
+            `Phone: ${address.phone}`
+        ].filter(Boolean).join('\n'), { width: contentWidth });
+
+        if (order.paymentMethod === 'cash_on_delivery' && order.paymentStatus !== 'paid') {
+            doc.moveDown(0.5).font('Helvetica-Bold').fontSize(12)
+                .text(`COLLECT: ${formatMoney(order.total)}`, { width: contentWidth });
+        }
+
+        doc.moveTo(LABEL_MARGIN, 300).lineTo(LABEL_MARGIN + contentWidth, 300).stroke();
+        doc.image(barcodes[index], LABEL_MARGIN, 315, { fit: [contentWidth, 90], align: 'center' });
+    });
+
+    doc.end();
+};
@@ -0,0 +1,41 @@
+import fs from 'fs';
+import path from 'path';
+
+// SMS providers implement send({ to, message }) and resolve once the message
+// is accepted. Pick one with SMS_PROVIDER; "console" and "file" are
+// development stand-ins, real gateways are added with registerSmsProvider().
+const providers = {
+    console: {
+        send: async ({ to, message }) => {
+            console.log(`📱 SMS to ${to}: ${message}`);
+        }
+    },
+    // Appends one JSON line per message to SMS_OUTBOX_FILE
+    file: {
+        send: async ({ to, message }) => {
+            const outbox = process.env.SMS_OUTBOX_FILE || path.join(process.cwd(), 'sms-outbox.log');
+            await fs.promises.appendFile(
+                outbox,
+                `${JSON.stringify({ to, message, sentAt: new Date().toISOString() })}\n`
+            );
+        }
+    }
+};
+
+export const registerSmsProvider = (name, provider) => {
+    if (!provider || typeof provider.send !== 'function') {
+        throw new Error(`SMS provider ${name} must implement send({ to, message })`);
+    }
+    providers[name] = provider;
+};
+
+export const sendSms = async (to, message) => {
+    const name = process.env.SMS_PROVIDER || 'console';
+    const provider = providers[name];
+
+    if (!provider) {
+        throw new Error(`Unknown SMS provider: ${name}`);
+    }
+
+    await provider.send({ to, message });
+};
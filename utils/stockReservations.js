@@ -0,0 +1,250 @@
+import mongoose from 'mongoose';
+import Order from '../models/order.js';
+import Product from '../models/product.js';
+import StockReservation from '../models/stockReservation.js';
+import { getRefundGateway } from './paymentGateways/index.js';
+import { refundOrderPayment } from './paymentLedger.js';
+
+// How long stock is held for each online payment method (minutes)
+const HOLD_MINUTES = {
+    credit_card: parseInt(process.env.RESERVATION_TTL_CARD_MINUTES) || 30,
+    bank_transfer: parseInt(process.env.RESERVATION_TTL_BANK_TRANSFER_MINUTES) || 24 * 60
+};
+
+// How long an unpaid online order may stay pending before it is cancelled
+// (minutes); defaults to the stock hold of its payment method
+const PAYMENT_TIMEOUT_MINUTES = {
+    credit_card: parseInt(process.env.UNPAID_ORDER_TIMEOUT_CARD_MINUTES) || HOLD_MINUTES.credit_card,
+    bank_transfer: parseInt(process.env.UNPAID_ORDER_TIMEOUT_BANK_TRANSFER_MINUTES) || HOLD_MINUTES.bank_transfer
+};
+
+// Orders whose card payment is being captured are left to the capture
+const UNPAID_ORDER = { status: 'pending', paymentStatus: { $nin: ['paid', 'capturing'] } };
+
+// Whether orders paid with this method hold their stock until payment
+export const requiresReservation = (paymentMethod) => {
+    return Object.prototype.hasOwnProperty.call(HOLD_MINUTES, paymentMethod);
+};
+
+// Create (or restart) the stock hold for an order
+export const createReservation = (order, session = null) => {
+    const expiresAt = new Date(Date.now() + HOLD_MINUTES[order.paymentMethod] * 60 * 1000);
+
+    return StockReservation.findOneAndUpdate(
+        { order: order._id },
+        {
+            $set: {
+                user: order.user,
+                items: order.items.map(item => ({
+                    product: item.product,
+                    quantity: item.quantity
+                })),
+                status: 'active',
+                expiresAt
+            },
+            $unset: { closedAt: 1 }
+        },
+        { new: true, upsert: true, runValidators: true, session }
+    );
+};
+
+// Make the held stock a permanent decrement once payment succeeds
+export const convertReservation = (orderId, session = null) => {
+    return StockReservation.findOneAndUpdate(
+        { order: orderId, status: 'active' },
+        { status: 'converted', closedAt: new Date() },
+        { new: true, session }
+    );
+};
+
+// Close the hold when the order is cancelled; the caller restores the stock
+export const closeReservation = (orderId, session = null) => {
+    return StockReservation.findOneAndUpdate(
+        { order: orderId, status: 'active' },
+        { status: 'released', closedAt: new Date() },
+        { new: true, session }
+    );
+};
+
+// Keep an active hold in line with the order after its items change
+export const syncReservationItems = (order, session = null) => {
+    return StockReservation.updateOne(
+        { order: order._id, status: 'active' },
+        {
+            items: order.items.map(item => ({
+                product: item.product,
+                quantity: item.quantity
+            }))
+        },
+        { session }
+    );
+};
+
+// Cancel an order inside `session`, giving its items back to stock and
+// closing its stock hold. The order is re-read with `filter` so a caller that
+// lost a race (a double click, another instance's sweeper) gets null instead
+// of restocking twice; concurrent attempts conflict on the order write.
+// With refundPayment, a paid order paid from the wallet is refunded in the
+// same session; other methods are refunded by cancelOrderWithRestock once the
+// cancellation has committed.
+export const cancelAndRestock = async (orderId, {
+    filter = {},
+    reason = '',
+    actor = {},
+    refundPayment = false,
+    session
+}) => {
+    const order = await Order.findOne({ _id: orderId, ...filter }).session(session);
+
+    if (!order || !order.canBeCancelled()) return null;
+
+    if (refundPayment && order.paymentStatus === 'paid') {
+        const gateway = getRefundGateway(order);
+        if (gateway.settlesLocally) {
+            await refundOrderPayment(order, gateway, { reason, actor: actor.user, session });
+        }
+    }
+
+    await closeReservation(order._id, session);
+
+    for (const item of order.items) {
+        await Product.findByIdAndUpdate(
+            item.product,
+            { $inc: { quantity: item.quantity } },
+            { session }
+        );
+    }
+
+    order.transitionStatus('cancelled', reason, actor);
+    await order.save({ session });
+
+    return order;
+};
+
+// cancelAndRestock in its own transaction; returns the cancelled order or null.
+// With refundPayment, a card or bank payment is refunded after the commit so
+// the provider is never called for a cancellation that rolled back. If that
+// refund fails the order stays cancelled with paymentStatus "paid", the
+// ledger records the failure and the refund endpoint can retry it.
+export const cancelOrderWithRestock = async (orderId, options = {}) => {
+    let order = null;
+
+    await mongoose.connection.transaction(async (session) => {
+        order = await cancelAndRestock(orderId, { ...options, session });
+    });
+
+    if (order && options.refundPayment && order.paymentStatus === 'paid') {
+        try {
+            await refundOrderPayment(order, getRefundGateway(order), {
+                reason: options.reason,
+                actor: options.actor?.user
+            });
+            await order.save();
+        } catch (error) {
+            console.error(`Refund for cancelled order ${order._id} failed:`, error.message);
+        }
+    }
+
+    return order;
+};
+
+// Release one expired hold: give the stock back and cancel the unpaid order.
+// Claiming the reservation is conditional, so only one worker wins it.
+export const releaseExpiredReservation = async (reservationId) => {
+    let released = false;
+
+    await mongoose.connection.transaction(async (session) => {
+        released = false;
+
+        const reservation = await StockReservation.findOneAndUpdate(
+            { _id: reservationId, status: 'active', expiresAt: { $lte: new Date() } },
+            { status: 'released', closedAt: new Date() },
+            { new: true, session }
+        );
+
+        if (!reservation) return;
+
+        const cancelledOrder = await cancelAndRestock(reservation.order, {
+            filter: UNPAID_ORDER,
+            reason: 'Payment was not received before the stock reservation expired',
+            actor: { role: 'system' },
+            session
+        });
+
+        if (!cancelledOrder) {
+            // Paid or already progressed by an admin: keep the stock decremented
+            if (await Order.exists({ _id: reservation.order }).session(session)) {
+                reservation.status = 'converted';
+                await reservation.save({ session });
+                return;
+            }
+
+            // The order is gone, so only the hold itself is left to undo
+            for (const item of reservation.items) {
+                await Product.findByIdAndUpdate(
+                    item.product,
+                    { $inc: { quantity: item.quantity } },
+                    { session }
+                );
+            }
+        }
+
+        released = true;
+    });
+
+    return released;
+};
+
+// Release every expired hold; returns how many were released
+export const releaseExpiredReservations = async (batchSize = 100) => {
+    const expired = await StockReservation.find({
+        status: 'active',
+        expiresAt: { $lte: new Date() }
+    })
+        .select('_id')
+        .limit(batchSize);
+
+    let releasedCount = 0;
+    for (const reservation of expired) {
+        try {
+            if (await releaseExpiredReservation(reservation._id)) {
+                releasedCount++;
+            }
+        } catch (error) {
+            console.error(`Failed to release reservation ${reservation._id}:`, error.message);
+        }
+    }
+
+    return releasedCount;
+};
+
+// Cancel unpaid online orders that have been pending longer than their
+// payment timeout, whether or not they still hold a reservation
+export const cancelStaleUnpaidOrders = async (batchSize = 100) => {
+    const now = Date.now();
+    const stale = await Order.find({
+        ...UNPAID_ORDER,
+        $or: Object.entries(PAYMENT_TIMEOUT_MINUTES).map(([paymentMethod, minutes]) => ({
+            paymentMethod,
+            createdAt: { $lte: new Date(now - minutes * 60 * 1000) }
+        }))
+    })
+        .select('_id')
+        .limit(batchSize);
+
+    let cancelledCount = 0;
+    for (const { _id } of stale) {
+        try {
+            const order = await cancelOrderWithRestock(_id, {
+                filter: UNPAID_ORDER,
+                reason: 'Payment was not received in time',
+                actor: { role: 'system' }
+            });
+            if (order) cancelledCount++;
+        } catch (error) {
+            console.error(`Failed to cancel unpaid order ${_id}:`, error.message);
+        }
+    }
+
+    return cancelledCount;
+};